@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Proxy health-check client shared by the subscription and link pages.
+ * Checker backends are tried in order until one answers. Each backend says where to send the
+ * request and how to read its response (which field means alive, and which hold latency and country).
+ *
+ * The backend list is stored in localStorage so both pages use the same checkers. Opening a page
+ * with `?checker=mock` swaps in the bundled mock checker, which answers locally without network access.
+ *
+ * Alive and dead results are cached in localStorage per ip:port for a configurable time, so revisiting
+ * a page or regenerating a subscription does not ask the checker again. When no checker answered, nothing
+ * is cached, so the next visit tries again.
+ */
+
+const ProxyChecker = (() => {
+    const STORAGE_KEY = 'nixgen-checker-backends';
+    const CACHE_KEY = 'nixgen-check-cache';
+    const CACHE_TTL_KEY = 'nixgen-check-cache-ttl';
+    const DEFAULT_CACHE_TTL = 30; // Minutes
+    const URL_OVERRIDE = new URLSearchParams(window.location.search).get('checker');
+
+    /**
+     * The checkers used when none are configured, in fallback order.
+     * `url` may use {ip} and {port}. `corsProxy` is prefixed to the encoded URL; `unwrap` names the field
+     * that holds the real response as a JSON string (allorigins puts it in `contents`).
+     * `mapping` holds dot-separated field paths; `aliveValue` is the value that means the proxy is alive.
+     */
+    const DEFAULT_BACKENDS = [
+        {
+            name: 'afrcloud (allorigins)',
+            url: 'https://afrcloud.dpdns.org/{ip}:{port}',
+            corsProxy: 'https://api.allorigins.win/get?url=',
+            unwrap: 'contents',
+            mapping: { alive: 'proxyip', aliveValue: true, latency: 'delay', country: 'country' }
+        },
+        {
+            name: 'jb8fd7grgd',
+            url: 'https://api.jb8fd7grgd.workers.dev/{ip}:{port}',
+            mapping: { alive: 'proxyip', aliveValue: true, latency: 'delay', country: 'country' }
+        }
+    ];
+
+    /**
+     * A checker that answers locally. The same ip:port always gets the same answer, so runs are repeatable.
+     */
+    const MOCK_BACKEND = { name: 'mock', type: 'mock', aliveRatio: 0.7, delay: 150 };
+
+    /**
+     * Reads the backends to check with: the mock when `?checker=mock` is set, otherwise the saved list.
+     * @returns {Array<object>} The backends in fallback order.
+     */
+    function loadBackends() {
+        return isMockOverride() ? [MOCK_BACKEND] : loadSavedBackends();
+    }
+
+    /**
+     * Tells whether `?checker=mock` replaces the saved backends on this page load.
+     * @returns {boolean} True while the override is active.
+     */
+    function isMockOverride() {
+        return URL_OVERRIDE === 'mock';
+    }
+
+    /**
+     * Reads the saved backends shared by both pages, ignoring the URL override, falling back to DEFAULT_BACKENDS.
+     * This is the list to edit; the override must never be saved in its place.
+     * @returns {Array<object>} The backends in fallback order.
+     */
+    function loadSavedBackends() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (Array.isArray(stored) && stored.length > 0 && validateBackends(stored).length === 0) return stored;
+        } catch (error) {
+            console.warn('Ignoring unreadable checker backends:', error);
+        }
+        return DEFAULT_BACKENDS;
+    }
+
+    /**
+     * Saves the backend list shared by both pages.
+     * @param {Array<object>|null} backends - The backends, or null to go back to the defaults.
+     * @throws {Error} If the list is invalid.
+     */
+    function saveBackends(backends) {
+        if (backends === null) {
+            localStorage.removeItem(STORAGE_KEY);
+            return;
+        }
+        const errors = validateBackends(backends);
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(backends));
+    }
+
+    /**
+     * Checks a backend list before it is saved.
+     * @param {Array<object>} backends - The backends to check.
+     * @returns {Array<string>} One message per problem; empty when everything is valid.
+     */
+    function validateBackends(backends) {
+        if (!Array.isArray(backends) || backends.length === 0) return ['Add at least one checker.'];
+        const errors = [];
+        backends.forEach((backend, index) => {
+            const label = (backend && backend.name) || `Checker ${index + 1}`;
+            if (!backend || typeof backend !== 'object') {
+                errors.push(`${label}: must be an object`);
+            } else if (backend.type === 'mock') {
+                return;
+            } else if (!/^https?:\/\/\S+$/i.test(backend.url || '') || !backend.url.includes('{ip}')) {
+                errors.push(`${label}: url must be an http(s) URL containing {ip}`);
+            } else if (!backend.mapping || !backend.mapping.alive) {
+                errors.push(`${label}: mapping.alive is required`);
+            }
+        });
+        return errors;
+    }
+
+    // --- RESULT CACHE ---
+
+    /**
+     * Reads how long check results stay valid.
+     * @returns {number} The time to live in minutes; 0 turns the cache off.
+     */
+    function getCacheTtl() {
+        const stored = localStorage.getItem(CACHE_TTL_KEY);
+        const minutes = stored === null ? NaN : Number(stored);
+        return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_CACHE_TTL;
+    }
+
+    /**
+     * Sets how long check results stay valid, for both pages.
+     * @param {number} minutes - The time to live in minutes; 0 turns the cache off.
+     */
+    function setCacheTtl(minutes) {
+        localStorage.setItem(CACHE_TTL_KEY, String(minutes));
+    }
+
+    function readCache() {
+        try {
+            const cache = JSON.parse(localStorage.getItem(CACHE_KEY) || '{}');
+            return cache && typeof cache === 'object' ? cache : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function isFresh(entry) {
+        return Boolean(entry) && Date.now() - entry.checkedAt < getCacheTtl() * 60000;
+    }
+
+    /**
+     * Returns the cached result of a proxy if it is still within the TTL.
+     * @param {{ip: string, port: string|number}} proxy - The proxy.
+     * @returns {object|null} The cached result with its `checkedAt` timestamp, or null.
+     */
+    function getCached(proxy) {
+        const entry = readCache()[`${proxy.ip}:${proxy.port}`];
+        return isFresh(entry) ? { ...entry, cached: true } : null;
+    }
+
+    function storeResult(proxy, result) {
+        if (getCacheTtl() === 0) return;
+        // Drop expired entries on every write so the cache does not grow without bound
+        const cache = Object.fromEntries(Object.entries(readCache()).filter(([, entry]) => isFresh(entry)));
+        cache[`${proxy.ip}:${proxy.port}`] = result;
+        try {
+            localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+        } catch (error) {
+            console.warn('Could not save the check cache:', error);
+        }
+    }
+
+    /**
+     * Describes how long ago a result was checked.
+     * @param {number} checkedAt - The check time in milliseconds since the epoch.
+     * @returns {string} For example "just now", "5 min ago" or "2 h ago".
+     */
+    function formatAge(checkedAt) {
+        const minutes = Math.floor((Date.now() - checkedAt) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        return `${Math.floor(minutes / 60)} h ago`;
+    }
+
+    // --- CLIENT ---
+
+    /**
+     * Creates a checker client.
+     * @param {object} [options={}] - Client options.
+     * @param {Array<object>} [options.backends] - The backends in fallback order; defaults to loadBackends().
+     * @param {number} [options.timeout=5000] - The timeout of each request, in milliseconds.
+     * @returns {{backends: Array<object>, check: function(object, AbortSignal=): Promise<object>}} The client.
+     */
+    function createClient(options = {}) {
+        const backends = options.backends || loadBackends();
+        const timeout = options.timeout || 5000;
+        const inFlight = new Map(); // ip:port -> {promise, signal} of the running check, shared by concurrent callers
+
+        /**
+         * Checks a proxy against each backend in turn until one answers, using the cache when it can.
+         * A caller that asks while the same ip:port is already being checked waits for that check instead of sending another.
+         * @param {{ip: string, port: string|number}} proxy - The proxy to check.
+         * @param {AbortSignal} [signal] - Aborts the check.
+         * @param {{force: boolean}} [checkOptions] - Set force to skip the cache and check again.
+         * @returns {Promise<{alive: boolean|null, latency: number|null, country: string|null, backend: string|null, checkedAt: number, cached: boolean}>}
+         *   The result; `alive` is null when no backend answered.
+         */
+        async function check(proxy, signal, { force = false } = {}) {
+            const cached = force ? null : getCached(proxy);
+            if (cached) return cached;
+
+            const key = `${proxy.ip}:${proxy.port}`;
+            const running = inFlight.get(key);
+            if (running) {
+                const result = await joinCheck(running.promise, signal);
+                // The check we joined was stopped by its own caller; that does not stop this one
+                if (running.signal && running.signal.aborted && !(signal && signal.aborted)) return check(proxy, signal, { force });
+                return result;
+            }
+
+            const promise = runCheck(proxy, signal).finally(() => inFlight.delete(key));
+            inFlight.set(key, { promise, signal });
+            return promise;
+        }
+
+        async function runCheck(proxy, signal) {
+            const result = { ...(await checkBackends(proxy, signal)), checkedAt: Date.now() };
+            // Aborted and unanswered checks say nothing about the proxy, and mock answers must not leak into real runs
+            if (!(signal && signal.aborted) && !result.mock && result.alive !== null) storeResult(proxy, result);
+            return { ...result, cached: false };
+        }
+
+        /**
+         * Waits for a check started by another caller, giving up with an unanswered result if this caller's signal fires.
+         */
+        function joinCheck(promise, signal) {
+            const unanswered = () => ({ alive: null, latency: null, country: null, backend: null, checkedAt: Date.now(), cached: false });
+            if (!signal) return promise;
+            if (signal.aborted) return Promise.resolve(unanswered());
+            return new Promise(resolve => {
+                const onAbort = () => resolve(unanswered());
+                signal.addEventListener('abort', onAbort, { once: true });
+                promise.then(result => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(result);
+                });
+            });
+        }
+
+        async function checkBackends(proxy, signal) {
+            for (const backend of backends) {
+                if (signal && signal.aborted) break;
+                try {
+                    const result = backend.type === 'mock'
+                        ? await checkMock(backend, proxy, signal)
+                        : await checkHttp(backend, proxy, signal, timeout);
+                    if (result) return result;
+                } catch (error) {
+                    if (!(signal && signal.aborted)) {
+                        console.warn(`Checker ${backend.name} failed for ${proxy.ip}:${proxy.port}:`, error.message);
+                    }
+                }
+            }
+            return { alive: null, latency: null, country: null, backend: null };
+        }
+
+        return { backends, check };
+    }
+
+    async function checkHttp(backend, proxy, signal, timeout) {
+        const target = backend.url.replace('{ip}', proxy.ip).replace('{port}', proxy.port);
+        const url = backend.corsProxy ? `${backend.corsProxy}${encodeURIComponent(target)}` : target;
+        const startTime = performance.now();
+        let data = await fetchJsonWithTimeout(url, signal, timeout);
+        if (data === null) return null; // Let the next backend answer
+        const elapsed = Math.round(performance.now() - startTime);
+
+        if (backend.unwrap) data = JSON.parse(readPath(data, backend.unwrap));
+        if (Array.isArray(data)) data = data[0];
+        if (!data || typeof data !== 'object') return null;
+
+        const { mapping } = backend;
+        const aliveValue = 'aliveValue' in mapping ? mapping.aliveValue : true;
+        const latency = mapping.latency ? Number(readPath(data, mapping.latency)) : NaN;
+        const country = mapping.country ? readPath(data, mapping.country) : null;
+        return {
+            alive: readPath(data, mapping.alive) === aliveValue,
+            latency: Number.isFinite(latency) && latency > 0 ? latency : elapsed,
+            country: country ? String(country) : null,
+            backend: backend.name
+        };
+    }
+
+    function checkMock(backend, proxy, signal) {
+        const hash = [...`${proxy.ip}:${proxy.port}`].reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 7);
+        const latency = 40 + (hash % 760);
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new Error('Aborted'));
+            };
+            const timeoutId = setTimeout(() => {
+                // Long-lived signals are shared by many checks, so do not leave a listener behind
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve({
+                    alive: (hash % 100) / 100 < (backend.aliveRatio ?? 0.7),
+                    latency,
+                    country: null,
+                    backend: backend.name || 'mock',
+                    mock: true
+                });
+            }, Math.min(latency, backend.delay ?? latency));
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Fetches and parses a JSON response with its own timeout, also aborting when the outer signal fires.
+     * The timeout covers reading the body too, so a backend that stalls mid-response cannot hold a check open.
+     * @param {string} url - The URL to fetch.
+     * @param {AbortSignal} [signal] - The caller's signal.
+     * @param {number} timeout - The timeout in milliseconds.
+     * @returns {Promise<*>} The parsed body, or null for a non-2xx response.
+     */
+    async function fetchJsonWithTimeout(url, signal, timeout) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        const timeoutId = setTimeout(abort, timeout);
+        if (signal) signal.addEventListener('abort', abort);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            return response.ok ? await response.json() : null;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+
+    function readPath(data, path) {
+        return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+    }
+
+    return {
+        DEFAULT_BACKENDS, MOCK_BACKEND, loadBackends, loadSavedBackends, isMockOverride, saveBackends, validateBackends, createClient,
+        getCacheTtl, setCacheTtl, getCached, formatAge
+    };
+})();
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Custom rules and the rule-provider catalogue for full Clash configs.
+ * Parses the user's rule lines, validates them against the generated proxy groups and
+ * turns the selected catalogue entries into `rule-providers` plus their RULE-SET rules.
+ */
+
+const ClashRules = (() => {
+    const RULE_TYPES = ['DOMAIN', 'DOMAIN-SUFFIX', 'DOMAIN-KEYWORD', 'IP-CIDR', 'GEOIP', 'GEOSITE', 'PROCESS-NAME'];
+    const NO_RESOLVE_TYPES = ['IP-CIDR', 'GEOIP'];
+    const BUILT_IN_TARGETS = ['DIRECT', 'REJECT'];
+    const GEOSITE_BASE = 'https://raw.githubusercontent.com/MetaCubeX/meta-rules-dat/meta/geo/geosite';
+    const SING_GEOSITE_BASE = 'https://raw.githubusercontent.com/MetaCubeX/meta-rules-dat/sing/geo/geosite';
+
+    /**
+     * Rule providers offered in the editor. URLs are defaults; the user can change them before generating.
+     * `singboxUrl` is the same list as a sing-box rule set, used while `url` keeps its default.
+     */
+    const PROVIDER_CATALOGUE = [
+        { id: 'netflix', name: '🎬 Netflix', behavior: 'domain', target: 'PROXY', url: `${GEOSITE_BASE}/netflix.yaml`,
+            singboxUrl: `${SING_GEOSITE_BASE}/netflix.srs` },
+        { id: 'youtube', name: '📺 YouTube', behavior: 'domain', target: 'PROXY', url: `${GEOSITE_BASE}/youtube.yaml`,
+            singboxUrl: `${SING_GEOSITE_BASE}/youtube.srs` },
+        { id: 'disney', name: '🏰 Disney+', behavior: 'domain', target: 'PROXY', url: `${GEOSITE_BASE}/disney.yaml`,
+            singboxUrl: `${SING_GEOSITE_BASE}/disney.srs` },
+        { id: 'spotify', name: '🎵 Spotify', behavior: 'domain', target: 'PROXY', url: `${GEOSITE_BASE}/spotify.yaml`,
+            singboxUrl: `${SING_GEOSITE_BASE}/spotify.srs` },
+        { id: 'games', name: '🎮 Gaming', behavior: 'domain', target: 'PROXY', url: `${GEOSITE_BASE}/category-games.yaml`,
+            singboxUrl: `${SING_GEOSITE_BASE}/category-games.srs` },
+        { id: 'steam', name: '🕹️ Steam', behavior: 'domain', target: 'PROXY', url: `${GEOSITE_BASE}/steam.yaml`,
+            singboxUrl: `${SING_GEOSITE_BASE}/steam.srs` },
+        { id: 'local-bank', name: '🏦 Local Bank', behavior: 'domain', target: 'DIRECT', url: new URL('rules/local-bank-id.yaml', window.location.href).href,
+            singboxUrl: new URL('rules/local-bank-id.json', window.location.href).href },
+    ];
+
+    /**
+     * Parses custom rules written one per line as "TYPE,VALUE,TARGET" with an optional ",no-resolve".
+     * Blank lines and lines starting with # are ignored.
+     * @param {string} text - The raw rules text.
+     * @returns {Array<{line: number, type: string, value: string, target: string, noResolve: boolean}>} The parsed rules.
+     */
+    function parseRules(text) {
+        return String(text || '').split(/\r?\n/)
+            .map((raw, index) => ({ raw: raw.trim(), line: index + 1 }))
+            .filter(({ raw }) => raw && !raw.startsWith('#'))
+            .map(({ raw, line }) => {
+                const parts = raw.split(',').map(part => part.trim());
+                const noResolve = parts.length > 3 && parts[parts.length - 1].toLowerCase() === 'no-resolve';
+                if (noResolve) parts.pop();
+                const type = (parts[0] || '').toUpperCase();
+                const value = type === 'GEOIP' ? (parts[1] || '').toUpperCase() : parts[1] || '';
+                return { line, type, value, target: parts.slice(2).join(','), noResolve };
+            });
+    }
+
+    /**
+     * Checks parsed rules and selected providers against the groups the config will contain.
+     * @param {Array<object>} rules - Rules from parseRules.
+     * @param {Array<{name: string, url: string, target: string}>} providers - The selected rule providers.
+     * @param {Array<string>} groupNames - The proxy group names present in the config.
+     * @returns {Array<string>} One message per problem; empty when everything is valid.
+     */
+    function validate(rules, providers, groupNames) {
+        const targets = new Set([...BUILT_IN_TARGETS, ...groupNames]);
+        const errors = [];
+
+        rules.forEach(rule => {
+            const problem = getRuleProblem(rule, targets);
+            if (problem) errors.push(`Rule line ${rule.line}: ${problem}`);
+        });
+        providers.forEach(provider => {
+            if (!/^https?:\/\/\S+$/i.test(provider.url)) errors.push(`${provider.name}: URL must start with http:// or https://`);
+            if (!targets.has(provider.target)) errors.push(`${provider.name}: unknown target "${provider.target}"`);
+        });
+        return errors;
+    }
+
+    function getRuleProblem({ type, value, target, noResolve }, targets) {
+        if (!RULE_TYPES.includes(type)) return `unsupported rule type "${type}" (use ${RULE_TYPES.join(', ')})`;
+        if (!value) return 'missing value';
+        if (!target) return 'missing target group';
+        if (!targets.has(target)) return `unknown target "${target}"`;
+        if (noResolve && !NO_RESOLVE_TYPES.includes(type)) return `no-resolve only applies to ${NO_RESOLVE_TYPES.join(' and ')}`;
+
+        switch (type) {
+            case 'DOMAIN':
+            case 'DOMAIN-SUFFIX':
+                return /^\.?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(value) ? null : `"${value}" is not a valid domain`;
+            case 'IP-CIDR':
+                return isCidr(value) ? null : `"${value}" is not a valid CIDR`;
+            case 'GEOIP':
+                return /^([a-z]{2}|lan|private)$/i.test(value) ? null : `"${value}" is not a country code`;
+            case 'GEOSITE':
+                return /^[a-z0-9!@:_-]+$/i.test(value) ? null : `"${value}" is not a valid geosite category`;
+            default:
+                return null;
+        }
+    }
+
+    function isCidr(value) {
+        const [address, prefix] = value.split('/');
+        if (prefix === undefined || !/^\d+$/.test(prefix)) return false;
+        if (address.includes(':')) {
+            return /^[0-9a-f:]+$/i.test(address) && Number(prefix) <= 128;
+        }
+        const octets = address.split('.');
+        return octets.length === 4 && octets.every(octet => /^\d+$/.test(octet) && Number(octet) <= 255) && Number(prefix) <= 32;
+    }
+
+    /**
+     * Formats a parsed rule in Clash syntax.
+     * @param {object} rule - A rule from parseRules.
+     * @returns {string} The rule string, e.g. "DOMAIN-SUFFIX,example.com,PROXY".
+     */
+    function formatRule({ type, value, target, noResolve }) {
+        return [type, value, target, noResolve ? 'no-resolve' : null].filter(Boolean).join(',');
+    }
+
+    /**
+     * Adds the selected providers to a Clash config's `rule-providers` and `rules`.
+     * @param {object} config - The Clash config being built.
+     * @param {Array<{id: string, name: string, behavior: string, url: string, target: string}>} providers - The selected providers.
+     */
+    function addProviders(config, providers) {
+        if (providers.length === 0) return;
+        config['rule-providers'] = config['rule-providers'] || {};
+        providers.forEach(provider => {
+            config['rule-providers'][provider.name] = {
+                type: 'http', behavior: provider.behavior,
+                url: provider.url,
+                path: `./rule_provider/${provider.id}.yaml`, interval: 86400
+            };
+            config.rules.push(`RULE-SET,${provider.name},${provider.target}`);
+        });
+    }
+
+    return { RULE_TYPES, PROVIDER_CATALOGUE, parseRules, validate, formatRule, addProviders };
+})();
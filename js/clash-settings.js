@@ -0,0 +1,181 @@
+/**
+ * @fileoverview General and DNS settings for full Clash configs.
+ * Holds the presets offered in the converter's settings panel and turns the panel's values
+ * into the top-level, `tun` and `dns` sections of the config object.
+ */
+
+const ClashSettings = (() => {
+    const DNS_SERVER_PATTERN = /^((udp|tcp|tls|https|quic|dhcp|system):\/\/\S+|\[?[0-9a-f:.]+\]?(:\d+)?|system)$/i;
+    // host:port, where an IPv6 host is bracketed as in [::]:53
+    const LISTEN_PATTERN = /^([^\s:[\]]*|\[[0-9a-f:.]+\]):\d+$/i;
+
+    const DEFAULT_FAKE_IP_FILTER = ['*.lan', '*.local', 'localhost.ptlogin2.qq.com', '+.msftconnecttest.com', '+.msftncsi.com', 'time.*.com', 'ntp.*.com'];
+
+    /**
+     * Presets for the settings panel. "default" keeps the values the converter used to hard-code.
+     */
+    const PRESETS = {
+        default: {
+            port: 7890, socksPort: 7891, mixedPort: '', redirPort: '',
+            allowLan: true, ipv6: false,
+            externalController: '127.0.0.1:9090', secret: '',
+            tun: { enable: false, stack: 'system', autoRoute: true, autoDetectInterface: true },
+            dns: {
+                listen: '0.0.0.0:53', ipv6: false, useFakeIp: true,
+                defaultNameserver: [],
+                nameserver: ['8.8.8.8', '1.1.1.1', 'https://dns.cloudflare.com/dns-query'],
+                fallback: ['1.0.0.1', '8.8.4.4', 'https://dns.google/dns-query'],
+                fakeIpFilter: [],
+                nameserverPolicy: {}
+            }
+        },
+        openclash: {
+            port: 7890, socksPort: 7891, mixedPort: 7893, redirPort: 7892,
+            allowLan: true, ipv6: false,
+            externalController: '0.0.0.0:9090', secret: '',
+            tun: { enable: false, stack: 'system', autoRoute: false, autoDetectInterface: false },
+            dns: {
+                listen: '0.0.0.0:7874', ipv6: false, useFakeIp: true,
+                defaultNameserver: ['114.114.114.114', '8.8.8.8'],
+                nameserver: ['https://dns.google/dns-query', 'https://1.1.1.1/dns-query'],
+                fallback: ['tls://1.1.1.1:853', 'tls://8.8.8.8:853'],
+                fakeIpFilter: DEFAULT_FAKE_IP_FILTER,
+                nameserverPolicy: {}
+            }
+        },
+        android: {
+            port: '', socksPort: '', mixedPort: 7890, redirPort: '',
+            allowLan: false, ipv6: false,
+            externalController: '127.0.0.1:9090', secret: '',
+            tun: { enable: true, stack: 'gvisor', autoRoute: true, autoDetectInterface: true },
+            dns: {
+                listen: '0.0.0.0:1053', ipv6: false, useFakeIp: true,
+                defaultNameserver: ['1.1.1.1', '8.8.8.8'],
+                nameserver: ['https://dns.cloudflare.com/dns-query', 'https://dns.google/dns-query'],
+                fallback: ['tls://1.0.0.1:853', 'tls://8.8.4.4:853'],
+                fakeIpFilter: DEFAULT_FAKE_IP_FILTER,
+                nameserverPolicy: {}
+            }
+        },
+        desktop: {
+            port: '', socksPort: '', mixedPort: 7890, redirPort: '',
+            allowLan: false, ipv6: true,
+            externalController: '127.0.0.1:9090', secret: '',
+            tun: { enable: false, stack: 'mixed', autoRoute: true, autoDetectInterface: true },
+            dns: {
+                listen: '127.0.0.1:1053', ipv6: true, useFakeIp: true,
+                defaultNameserver: ['1.1.1.1', '8.8.8.8'],
+                nameserver: ['https://dns.cloudflare.com/dns-query', 'https://dns.google/dns-query'],
+                fallback: ['tls://1.0.0.1:853', 'tls://8.8.4.4:853'],
+                fakeIpFilter: DEFAULT_FAKE_IP_FILTER,
+                nameserverPolicy: {}
+            }
+        }
+    };
+
+    /**
+     * Parses nameserver-policy lines written as "domain: server, server".
+     * @param {string} text - The raw policy text.
+     * @returns {object} The policy map.
+     * @throws {Error} If a line has no colon separator.
+     */
+    function parsePolicy(text) {
+        const policy = {};
+        String(text || '').split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line || line.startsWith('#')) return;
+            // Split on the first ": " so DoH URLs keep their own colons
+            const match = line.match(/^(\S+?)\s*:\s+(.+)$/) || line.match(/^([^:]+):(.+)$/);
+            if (!match) throw new Error(`Nameserver policy line ${index + 1} needs "domain: server".`);
+            const servers = match[2].split(',').map(server => server.trim()).filter(Boolean);
+            policy[match[1].replace(/^['"]|['"]$/g, '')] = servers.length === 1 ? servers[0] : servers;
+        });
+        return policy;
+    }
+
+    /**
+     * Formats a nameserver-policy map back into editable lines.
+     * @param {object} policy - The policy map.
+     * @returns {string} One "domain: server, server" line per entry.
+     */
+    function formatPolicy(policy) {
+        return Object.entries(policy || {})
+            .map(([domain, servers]) => `${domain}: ${[].concat(servers).join(', ')}`)
+            .join('\n');
+    }
+
+    /**
+     * Checks settings values before they are written to the config.
+     * @param {object} settings - Settings in the PRESETS shape.
+     * @returns {Array<string>} One message per problem; empty when everything is valid.
+     */
+    function validate(settings) {
+        const errors = [];
+        [['port', settings.port], ['socks-port', settings.socksPort], ['mixed-port', settings.mixedPort], ['redir-port', settings.redirPort]]
+            .forEach(([label, value]) => {
+                if (value !== '' && !isPort(value)) errors.push(`${label} must be a port between 1 and 65535`);
+            });
+        if (settings.externalController && !LISTEN_PATTERN.test(settings.externalController)) {
+            errors.push('external-controller must look like 127.0.0.1:9090 or [::1]:9090');
+        }
+        if (!LISTEN_PATTERN.test(settings.dns.listen)) errors.push('DNS listen must look like 0.0.0.0:53 or [::]:53');
+
+        const dns = settings.dns;
+        const servers = [
+            ...dns.defaultNameserver, ...dns.nameserver, ...dns.fallback,
+            ...Object.values(dns.nameserverPolicy).flatMap(value => [].concat(value))
+        ];
+        servers.filter(server => !DNS_SERVER_PATTERN.test(server))
+            .forEach(server => errors.push(`"${server}" is not a DNS server (use an IP or udp://, tcp://, tls://, https://, quic://)`));
+        if (dns.nameserver.length === 0) errors.push('At least one nameserver is required');
+        return errors;
+    }
+
+    function isPort(value) {
+        const port = Number(value);
+        return Number.isInteger(port) && port >= 1 && port <= 65535;
+    }
+
+    /**
+     * Applies the general, TUN and DNS settings to a Clash config object.
+     * @param {object} config - The Clash config being built.
+     * @param {object} settings - Settings in the PRESETS shape.
+     */
+    function apply(config, settings) {
+        [['port', settings.port], ['socks-port', settings.socksPort], ['mixed-port', settings.mixedPort], ['redir-port', settings.redirPort]]
+            .forEach(([key, value]) => {
+                if (value !== '') config[key] = Number(value);
+            });
+        config['allow-lan'] = settings.allowLan;
+        config['mode'] = 'rule';
+        config['log-level'] = 'info';
+        config['ipv6'] = settings.ipv6;
+        if (settings.externalController) config['external-controller'] = settings.externalController;
+        if (settings.secret) config['secret'] = settings.secret;
+
+        if (settings.tun.enable) {
+            config['tun'] = {
+                'enable': true,
+                'stack': settings.tun.stack,
+                'auto-route': settings.tun.autoRoute,
+                'auto-detect-interface': settings.tun.autoDetectInterface,
+                'dns-hijack': ['any:53']
+            };
+        }
+
+        const dns = settings.dns;
+        config['dns'] = {
+            'enable': true,
+            'listen': dns.listen,
+            'ipv6': dns.ipv6,
+            'enhanced-mode': dns.useFakeIp ? 'fake-ip' : 'redir-host',
+        };
+        if (dns.useFakeIp && dns.fakeIpFilter.length > 0) config['dns']['fake-ip-filter'] = dns.fakeIpFilter;
+        if (dns.defaultNameserver.length > 0) config['dns']['default-nameserver'] = dns.defaultNameserver;
+        config['dns']['nameserver'] = dns.nameserver;
+        if (dns.fallback.length > 0) config['dns']['fallback'] = dns.fallback;
+        if (Object.keys(dns.nameserverPolicy).length > 0) config['dns']['nameserver-policy'] = dns.nameserverPolicy;
+    }
+
+    return { PRESETS, parsePolicy, formatPolicy, validate, apply };
+})();
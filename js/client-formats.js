@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Line-based proxy formats for iOS clients: Surge, Quantumult X, Loon and Shadowrocket.
+ * Each formatter takes a proxy object in the LinkCodec shape and returns one line for the client's
+ * proxy list, or throws when the client cannot express that proxy.
+ */
+
+const ClientFormats = (() => {
+    /**
+     * The supported clients, keyed by the value used in the format select.
+     */
+    const CLIENTS = {
+        surge: { label: 'Surge' },
+        quantumultx: { label: 'Quantumult X' },
+        loon: { label: 'Loon' },
+        shadowrocket: { label: 'Shadowrocket' },
+    };
+
+    /**
+     * Formats a proxy as one line for the given client.
+     * @param {string} client - A key of CLIENTS.
+     * @param {object} proxy - The proxy object in the LinkCodec shape.
+     * @returns {string} The client's proxy line.
+     * @throws {Error} If the client cannot use this proxy.
+     */
+    function formatProxy(client, proxy) {
+        if (client === 'shadowrocket') return LinkCodec.serialize(proxy);
+
+        if (proxy.reality) throw new Error('REALITY is not supported');
+        if (!['ws', 'tcp'].includes(proxy.network || 'tcp')) throw new Error(`${proxy.network} transport is not supported`);
+
+        switch (client) {
+            case 'surge':
+                return formatSurge(proxy);
+            case 'quantumultx':
+                return formatQuantumultX(proxy);
+            case 'loon':
+                return formatLoon(proxy);
+            default:
+                throw new Error(`Unknown client: ${client}`);
+        }
+    }
+
+    // --- SURGE ---
+
+    function formatSurge(proxy) {
+        const tlsParams = proxy.tls
+            ? [`sni=${proxy.sni || proxy.server}`, `skip-cert-verify=${Boolean(proxy.skipCertVerify)}`]
+            : [];
+        const wsParams = isWebsocket(proxy)
+            ? ['ws=true', `ws-path=${proxy.wsPath || '/'}`, ...(proxy.wsHost ? [`ws-headers=Host:${proxy.wsHost}`] : [])]
+            : [];
+        const head = `${cleanName(proxy.name)} = ${proxy.type}, ${proxy.server}, ${proxy.port}`;
+
+        switch (proxy.type) {
+            case 'vmess':
+                return [head, `username=${proxy.uuid}`, ...wsParams, `tls=${Boolean(proxy.tls)}`, ...tlsParams, `vmess-aead=${!proxy.alterId}`].join(', ');
+            case 'trojan':
+                if (!proxy.tls) throw new Error('Surge only supports Trojan over TLS');
+                return [head, `password=${proxy.password}`, ...wsParams, ...tlsParams].join(', ');
+            case 'ss':
+                if (isWebsocket(proxy)) throw new Error('Surge does not support Shadowsocks with v2ray-plugin');
+                return [head, `encrypt-method=${proxy.cipher}`, `password=${proxy.password}`].join(', ');
+            default:
+                throw new Error(`Surge does not support ${proxy.type.toUpperCase()}`);
+        }
+    }
+
+    // --- QUANTUMULT X ---
+
+    function formatQuantumultX(proxy) {
+        const address = `${proxy.server}:${proxy.port}`;
+        const obfsParams = isWebsocket(proxy)
+            ? [`obfs=${proxy.tls ? 'wss' : 'ws'}`, `obfs-host=${proxy.wsHost || proxy.sni || proxy.server}`, `obfs-uri=${proxy.wsPath || '/'}`]
+            : proxy.tls ? ['obfs=over-tls', `obfs-host=${proxy.sni || proxy.server}`] : [];
+        const tlsParams = proxy.tls ? [`tls-host=${proxy.sni || proxy.server}`, `tls-verification=${!proxy.skipCertVerify}`] : [];
+        const tail = ['fast-open=false', 'udp-relay=false', `tag=${cleanName(proxy.name)}`];
+
+        switch (proxy.type) {
+            case 'vmess':
+                return [`vmess=${address}`, `method=${getQuantumultXVmessMethod(proxy.cipher)}`, `password=${proxy.uuid}`, ...obfsParams, ...tlsParams, ...tail].join(', ');
+            case 'vless':
+                if (proxy.flow) throw new Error('Quantumult X does not support VLESS flow');
+                return [`vless=${address}`, 'method=none', `password=${proxy.uuid}`, ...obfsParams, ...tlsParams, ...tail].join(', ');
+            case 'trojan': {
+                // Trojan over plain TLS uses over-tls instead of an obfs parameter
+                const transport = isWebsocket(proxy) ? obfsParams : [`over-tls=${Boolean(proxy.tls)}`];
+                return [`trojan=${address}`, `password=${proxy.password}`, ...transport, ...tlsParams, ...tail].join(', ');
+            }
+            case 'ss':
+                return [`shadowsocks=${address}`, `method=${proxy.cipher}`, `password=${proxy.password}`, ...obfsParams, ...tlsParams, ...tail].join(', ');
+            default:
+                throw new Error(`Quantumult X does not support ${proxy.type.toUpperCase()}`);
+        }
+    }
+
+    function getQuantumultXVmessMethod(cipher) {
+        if (!cipher || cipher === 'auto') return 'chacha20-poly1305';
+        if (cipher === 'zero') return 'none';
+        return cipher;
+    }
+
+    // --- LOON ---
+
+    function formatLoon(proxy) {
+        const transportParams = isWebsocket(proxy)
+            ? ['transport=ws', `path=${proxy.wsPath || '/'}`, `host=${proxy.wsHost || proxy.server}`]
+            : ['transport=tcp'];
+        const tlsParams = proxy.tls
+            ? ['over-tls=true', `sni=${proxy.sni || proxy.server}`, `skip-cert-verify=${Boolean(proxy.skipCertVerify)}`]
+            : ['over-tls=false'];
+        const head = `${cleanName(proxy.name)} = ${proxy.type}, ${proxy.server}, ${proxy.port}`;
+
+        switch (proxy.type) {
+            case 'vmess': {
+                const cipher = proxy.cipher === 'zero' ? 'none' : proxy.cipher || 'auto';
+                return [head, cipher, `"${proxy.uuid}"`, ...transportParams, `alterId=${proxy.alterId || 0}`, ...tlsParams].join(', ');
+            }
+            case 'vless':
+                if (proxy.flow) throw new Error('Loon does not support VLESS flow');
+                return [head, `"${proxy.uuid}"`, ...transportParams, ...tlsParams].join(', ');
+            case 'trojan':
+                if (!proxy.tls) throw new Error('Loon only supports Trojan over TLS');
+                return [head, `"${proxy.password}"`, ...transportParams, ...tlsParams].join(', ');
+            case 'ss':
+                if (isWebsocket(proxy)) throw new Error('Loon does not support Shadowsocks with v2ray-plugin');
+                return [`${cleanName(proxy.name)} = Shadowsocks, ${proxy.server}, ${proxy.port}`, proxy.cipher, `"${proxy.password}"`].join(', ');
+            default:
+                throw new Error(`Loon does not support ${proxy.type.toUpperCase()}`);
+        }
+    }
+
+    // --- HELPERS ---
+
+    function isWebsocket(proxy) {
+        return proxy.network === 'ws';
+    }
+
+    /**
+     * Removes the characters the line formats use as separators from a proxy name.
+     * @param {string} name - The proxy name.
+     * @returns {string} The name without commas or equals signs.
+     */
+    function cleanName(name) {
+        return String(name || '').replace(/[,=]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    return { CLIENTS, formatProxy };
+})();
@@ -0,0 +1,558 @@
+/**
+ * @fileoverview Shared share-link codec used by the converter, subscription and link pages.
+ * Parses vmess/vless/trojan/ss/hysteria2/tuic links into one normalized proxy object and serializes
+ * that object back into a link, so every page reads and writes the same format.
+ *
+ * Normalized proxy object:
+ * {
+ *   type: 'vmess'|'vless'|'trojan'|'ss'|'hysteria2'|'tuic', name, server, port,
+ *   uuid (vmess/vless/tuic), password (trojan/ss/hysteria2/tuic), alterId, cipher (vmess/ss),
+ *   tls, sni, skipCertVerify,
+ *   network ('tcp'|'ws'|'grpc'|'h2'|'httpupgrade'|'xhttp'), wsPath, wsHost (transport path/host),
+ *   headerType (tcp), serviceName (grpc), mode (grpc/xhttp),
+ *   flow, fingerprint, reality, publicKey, shortId, spiderX (vless),
+ *   alpn (hysteria2/tuic), obfs, obfsPassword, up, down, ports (hysteria2 port hopping, e.g. '443,20000-30000'),
+ *   congestionControl, udpRelayMode (tuic)
+ * }
+ */
+
+const LinkCodec = (() => {
+    const SCHEMES = {
+        'vmess://': 'vmess',
+        'vless://': 'vless',
+        'trojan://': 'trojan',
+        'ss://': 'ss',
+        'hysteria2://': 'hysteria2',
+        'hy2://': 'hysteria2',
+        'tuic://': 'tuic'
+    };
+    const NETWORKS = ['tcp', 'ws', 'grpc', 'h2', 'httpupgrade', 'xhttp'];
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    // --- BASE64 HELPERS ---
+
+    /**
+     * Encodes a string into Base64, keeping non-Latin characters intact.
+     * @param {string} text - The text to encode.
+     * @returns {string} The Base64 encoded string.
+     */
+    function encodeBase64(text) {
+        const bytes = new TextEncoder().encode(String(text));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes a standard or URL-safe Base64 string, with or without padding.
+     * @param {string} encoded - The Base64 string to decode.
+     * @returns {string} The decoded UTF-8 text.
+     */
+    function decodeBase64(encoded) {
+        let normalized = String(encoded).trim().replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+        while (normalized.length % 4 !== 0) normalized += '=';
+        const binary = atob(normalized);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+
+    // --- PARSING ---
+
+    /**
+     * Parses a share link into a normalized proxy object.
+     * @param {string} link - The vmess://, vless://, trojan://, ss://, hysteria2:// (hy2://) or tuic:// link.
+     * @returns {object} The normalized proxy object.
+     * @throws {Error} If the protocol is unsupported or the link is malformed or incomplete.
+     */
+    function parse(link) {
+        const trimmed = String(link).trim();
+        const scheme = Object.keys(SCHEMES).find(prefix => trimmed.toLowerCase().startsWith(prefix));
+        if (!scheme) {
+            const match = trimmed.match(/^([a-z0-9+.-]+):\/\//i);
+            throw new Error(match
+                ? `Unknown protocol: ${match[1]}://`
+                : `Not a share link: ${trimmed.substring(0, 30)}...`);
+        }
+        let proxy;
+        switch (SCHEMES[scheme]) {
+            case 'vmess': proxy = parseVmess(trimmed); break;
+            case 'vless': proxy = parseVless(trimmed); break;
+            case 'trojan': proxy = parseTrojan(trimmed); break;
+            case 'ss': proxy = parseShadowsocks(trimmed); break;
+            case 'hysteria2': proxy = parseHysteria2(trimmed); break;
+            case 'tuic': proxy = parseTuic(trimmed); break;
+        }
+        validate(proxy);
+        return proxy;
+    }
+
+    /**
+     * Checks that a proxy has the fields every client needs. Run on parsed links, and on proxies read from
+     * configs before they are serialized, so an incomplete entry never becomes a link.
+     * @param {object} proxy - The normalized proxy object.
+     * @throws {Error} Naming the first missing or invalid field.
+     */
+    function validate(proxy) {
+        if (!proxy.server) throw new Error('Missing server address');
+        if (!Number.isInteger(proxy.port)) throw new Error('Missing port');
+        if (proxy.port < 1 || proxy.port > 65535) throw new Error(`Invalid port: ${proxy.port}`);
+        if ('uuid' in proxy && !isValidId(proxy)) {
+            throw new Error(`Invalid UUID: ${proxy.uuid || '(empty)'}`);
+        }
+        if ('password' in proxy && !proxy.password) throw new Error('Missing password');
+        if (proxy.type === 'ss' && !proxy.cipher) throw new Error('Missing cipher');
+    }
+
+    /**
+     * Checks the user id of a proxy. Xray maps any id of 1 to 30 bytes to a UUID, so vmess and vless accept
+     * such custom ids; anything longer must be a real UUID. TUIC always needs one.
+     * @param {object} proxy - The normalized proxy object.
+     * @returns {boolean} True if clients accept the id.
+     */
+    function isValidId(proxy) {
+        const id = String(proxy.uuid || '');
+        if (UUID_PATTERN.test(id)) return true;
+        const length = new TextEncoder().encode(id).length;
+        return proxy.type !== 'tuic' && length >= 1 && length <= 30;
+    }
+
+    function parseVmess(link) {
+        let json;
+        try {
+            json = decodeBase64(link.substring(8));
+        } catch (error) {
+            throw new Error('Invalid base64 in VMess link');
+        }
+        let decoded;
+        try {
+            decoded = JSON.parse(json);
+        } catch (error) {
+            throw new Error('VMess link does not contain valid JSON');
+        }
+        return {
+            type: 'vmess',
+            name: decoded.ps || 'VMess',
+            server: decoded.add,
+            port: parseInt(decoded.port, 10),
+            uuid: decoded.id,
+            alterId: parseInt(decoded.aid || '0', 10),
+            cipher: decoded.scy || 'auto',
+            tls: decoded.tls === 'tls',
+            sni: decoded.sni || decoded.host || decoded.add,
+            skipCertVerify: isTruthyFlag(decoded.allowInsecure),
+            ...readTransport({
+                network: decoded.net,
+                headerType: decoded.type,
+                path: decoded.path,
+                host: decoded.host,
+                serviceName: decoded.net === 'grpc' ? decoded.path : '',
+                mode: decoded.mode
+            })
+        };
+    }
+
+    function parseVless(link) {
+        const url = parseUrl(link, 'VLESS');
+        const params = url.searchParams;
+        return {
+            type: 'vless',
+            name: getName(url, 'VLESS'),
+            server: getHostname(url),
+            port: parseInt(url.port, 10),
+            uuid: safeDecode(url.username),
+            tls: ['tls', 'reality'].includes(params.get('security')),
+            flow: params.get('flow') || '',
+            fingerprint: params.get('fp') || '',
+            reality: params.get('security') === 'reality',
+            publicKey: params.get('pbk') || '',
+            shortId: params.get('sid') || '',
+            spiderX: params.get('spx') || '',
+            sni: params.get('sni') || params.get('host') || getHostname(url),
+            skipCertVerify: isTruthyFlag(params.get('allowInsecure') || params.get('insecure')),
+            ...readTransportParams(params)
+        };
+    }
+
+    function parseTrojan(link) {
+        const url = parseUrl(link, 'Trojan');
+        const params = url.searchParams;
+        return {
+            type: 'trojan',
+            name: getName(url, 'Trojan'),
+            server: getHostname(url),
+            port: parseInt(url.port, 10),
+            password: safeDecode(url.username),
+            tls: params.get('security') !== 'none', // Trojan is TLS unless explicitly disabled
+            sni: params.get('sni') || params.get('peer') || params.get('host') || getHostname(url),
+            skipCertVerify: isTruthyFlag(params.get('allowInsecure') || params.get('insecure')),
+            ...readTransportParams(params)
+        };
+    }
+
+    function parseShadowsocks(link) {
+        let content = link.substring(5);
+
+        // Legacy format: ss://base64(method:password@server:port)#name
+        if (!content.split('#')[0].includes('@')) {
+            const [encodedData, ...nameParts] = content.split('#');
+            try {
+                content = `${decodeBase64(encodedData)}${nameParts.length ? `#${nameParts.join('#')}` : ''}`;
+            } catch (error) {
+                throw new Error('Invalid base64 in Shadowsocks link');
+            }
+            const atIndex = content.lastIndexOf('@');
+            const [method, ...passwordParts] = content.substring(0, atIndex).split(':');
+            content = `${encodeBase64(`${method}:${passwordParts.join(':')}`)}${content.substring(atIndex)}`;
+        }
+
+        const url = parseUrl(`ss://${content}`, 'Shadowsocks');
+        const userInfo = decodeUserInfo(safeDecode(url.username), url.password);
+        const separator = userInfo.indexOf(':');
+        if (separator === -1) {
+            throw new Error('Invalid Shadowsocks link format');
+        }
+
+        const params = url.searchParams;
+        const plugin = parsePluginOptions(params.get('plugin'));
+        const hostname = getHostname(url);
+        const isWebsocket = plugin.mode === 'websocket' || params.get('type') === 'ws';
+        const host = plugin.host || params.get('host') || '';
+
+        return {
+            type: 'ss',
+            name: getName(url, 'Shadowsocks'),
+            server: hostname,
+            port: parseInt(url.port, 10),
+            cipher: userInfo.substring(0, separator),
+            password: userInfo.substring(separator + 1),
+            tls: plugin.tls || params.get('security') === 'tls',
+            sni: params.get('sni') || host || hostname,
+            skipCertVerify: isTruthyFlag(params.get('allowInsecure') || params.get('insecure')),
+            network: isWebsocket ? 'ws' : 'tcp',
+            wsPath: plugin.path || params.get('path') || '/',
+            wsHost: host
+        };
+    }
+
+    /**
+     * Normalizes transport fields shared by vmess JSON and URL-style links.
+     * @param {object} raw - Raw network, headerType, path, host, serviceName and mode values.
+     * @returns {object} The network, wsPath, wsHost, headerType, serviceName and mode fields.
+     */
+    function readTransport(raw) {
+        return {
+            network: normalizeNetwork(raw.network),
+            wsPath: raw.path || '/',
+            wsHost: raw.host || '',
+            headerType: raw.headerType || 'none',
+            serviceName: raw.serviceName || '',
+            mode: raw.mode || ''
+        };
+    }
+
+    function readTransportParams(params) {
+        return readTransport({
+            network: params.get('type'),
+            headerType: params.get('headerType'),
+            path: params.get('path'),
+            host: params.get('host'),
+            serviceName: params.get('serviceName'),
+            mode: params.get('mode')
+        });
+    }
+
+    /**
+     * Maps the transport names used by different clients onto one set of names.
+     * @param {string} network - The raw transport name.
+     * @returns {string} One of tcp, ws, grpc, h2, httpupgrade or xhttp.
+     * @throws {Error} If the transport is none of these, e.g. kcp or quic.
+     */
+    function normalizeNetwork(network) {
+        const value = (network || 'tcp').toLowerCase();
+        if (value === 'http') return 'h2';
+        if (value === 'splithttp') return 'xhttp';
+        if (!NETWORKS.includes(value)) throw new Error(`Unsupported transport: ${network}`);
+        return value;
+    }
+
+    function parseHysteria2(link) {
+        const { link: singlePort, ports } = splitHoppingPorts(link.replace(/^hy2:\/\//i, 'hysteria2://'));
+        const url = parseUrl(singlePort, 'Hysteria2');
+        const params = url.searchParams;
+        // The auth may be written as "user:pass", which Hysteria2 treats as one password
+        const password = url.password ? `${safeDecode(url.username)}:${safeDecode(url.password)}` : safeDecode(url.username);
+        return {
+            type: 'hysteria2',
+            name: getName(url, 'Hysteria2'),
+            server: getHostname(url),
+            port: parseInt(url.port || '443', 10),
+            password,
+            tls: true,
+            sni: params.get('sni') || params.get('peer') || getHostname(url),
+            skipCertVerify: isTruthyFlag(params.get('insecure') || params.get('allowInsecure')),
+            alpn: parseList(params.get('alpn')),
+            obfs: params.get('obfs') || '',
+            obfsPassword: params.get('obfs-password') || '',
+            up: params.get('up') || params.get('upmbps') || '',
+            down: params.get('down') || params.get('downmbps') || '',
+            ports
+        };
+    }
+
+    /**
+     * Takes the port-hopping list out of a Hysteria2 link such as "hysteria2://auth@host:443,20000-30000/",
+     * which URL cannot parse, leaving the first port in its place.
+     * @param {string} link - The hysteria2:// link.
+     * @returns {{link: string, ports: string}} The link with a single port, and the port list ('' without hopping).
+     * @throws {Error} If a port or range in the list is invalid.
+     */
+    function splitHoppingPorts(link) {
+        const match = link.match(/^([a-z0-9]+:\/\/(?:[^/?#]*@)?(?:\[[^\]]*\]|[^:/?#@]*):)([\d,-]+)(?=[/?#]|$)/i);
+        if (!match || !/[,-]/.test(match[2])) return { link, ports: '' };
+        const ports = match[2];
+        const ranges = ports.split(',').map(part => part.split('-').map(Number));
+        const isPort = port => Number.isInteger(port) && port >= 1 && port <= 65535;
+        if (ranges.some(range => range.length > 2 || !range.every(isPort) || range[0] > range[range.length - 1])) {
+            throw new Error(`Invalid port range: ${ports}`);
+        }
+        return { link: match[1] + ranges[0][0] + link.substring(match[0].length), ports };
+    }
+
+    function parseTuic(link) {
+        const url = parseUrl(link, 'TUIC');
+        const params = url.searchParams;
+        if (!url.username || !url.password) {
+            throw new Error('Invalid TUIC link format');
+        }
+        return {
+            type: 'tuic',
+            name: getName(url, 'TUIC'),
+            server: getHostname(url),
+            port: parseInt(url.port || '443', 10),
+            uuid: safeDecode(url.username),
+            password: safeDecode(url.password),
+            tls: true,
+            sni: params.get('sni') || getHostname(url),
+            skipCertVerify: isTruthyFlag(params.get('allow_insecure') || params.get('insecure') || params.get('allowInsecure')),
+            alpn: parseList(params.get('alpn')),
+            congestionControl: params.get('congestion_control') || params.get('congestion-control') || 'bbr',
+            udpRelayMode: params.get('udp_relay_mode') || params.get('udp-relay-mode') || 'native'
+        };
+    }
+
+    /**
+     * Decodes the SIP002 user info, which is Base64 (method:password) or plain percent-encoded.
+     * @param {string} username - The decoded URL username part.
+     * @param {string} password - The URL password part, set for plain user info.
+     * @returns {string} The "method:password" string.
+     */
+    function decodeUserInfo(username, password) {
+        if (password) return `${username}:${safeDecode(password)}`;
+        try {
+            const decoded = decodeBase64(username);
+            if (decoded.includes(':')) return decoded;
+        } catch (error) {
+            // Not Base64, fall through to the raw value
+        }
+        return username;
+    }
+
+    /**
+     * Parses a SIP003 plugin string such as "v2ray-plugin;tls;mode=websocket;path=/;host=a.com".
+     * @param {string|null} pluginString - The raw plugin parameter.
+     * @returns {{name: string, tls: boolean, mode: string, path: string, host: string}}
+     */
+    function parsePluginOptions(pluginString) {
+        const result = { name: '', tls: false, mode: '', path: '', host: '' };
+        if (!pluginString) return result;
+
+        const [name, ...options] = pluginString.split(';');
+        result.name = name;
+        options.forEach(option => {
+            const [key, ...valueParts] = option.split('=');
+            const value = valueParts.join('=');
+            if (key === 'tls') result.tls = true;
+            else if (key === 'mode') result.mode = value;
+            else if (key === 'path') result.path = value;
+            else if (key === 'host') result.host = value;
+        });
+        return result;
+    }
+
+    // --- SERIALIZATION ---
+
+    /**
+     * Serializes a normalized proxy object back into a share link.
+     * @param {object} proxy - The normalized proxy object.
+     * @returns {string} The share link.
+     * @throws {Error} If the proxy type is unsupported.
+     */
+    function serialize(proxy) {
+        switch (proxy.type) {
+            case 'vmess': return serializeVmess(proxy);
+            case 'vless': return serializeVless(proxy);
+            case 'trojan': return serializeTrojan(proxy);
+            case 'ss': return serializeShadowsocks(proxy);
+            case 'hysteria2': return serializeHysteria2(proxy);
+            case 'tuic': return serializeTuic(proxy);
+            default:
+                throw new Error(`Unsupported proxy type: ${proxy.type}`);
+        }
+    }
+
+    function serializeVmess(proxy) {
+        const vmessConfig = {
+            v: '2',
+            ps: proxy.name,
+            add: proxy.server,
+            port: proxy.port,
+            id: proxy.uuid,
+            aid: String(proxy.alterId || 0),
+            scy: proxy.cipher || 'auto',
+            net: proxy.network || 'tcp',
+            type: proxy.headerType || 'none',
+            host: proxy.wsHost || '',
+            path: proxy.network === 'grpc' ? (proxy.serviceName || '') : (proxy.wsPath || '/'),
+            tls: proxy.tls ? 'tls' : '',
+            sni: proxy.sni || ''
+        };
+        if (proxy.mode && ['grpc', 'xhttp'].includes(proxy.network)) vmessConfig.mode = proxy.mode;
+        if (proxy.skipCertVerify) vmessConfig.allowInsecure = true;
+        return 'vmess://' + encodeBase64(JSON.stringify(vmessConfig));
+    }
+
+    function serializeVless(proxy) {
+        const query = buildQuery([
+            ['encryption', 'none'],
+            ['security', proxy.reality ? 'reality' : (proxy.tls ? 'tls' : 'none')],
+            ...transportParams(proxy),
+            ['sni', proxy.sni],
+            ['flow', proxy.flow],
+            ['fp', proxy.fingerprint],
+            ['pbk', proxy.reality ? proxy.publicKey : ''],
+            ['sid', proxy.reality ? proxy.shortId : ''],
+            ['spx', proxy.reality ? proxy.spiderX : ''],
+            ['allowInsecure', proxy.skipCertVerify ? '1' : '']
+        ]);
+        return `vless://${encodeURIComponent(proxy.uuid)}@${formatHost(proxy.server)}:${proxy.port}?${query}#${encodeURIComponent(proxy.name)}`;
+    }
+
+    function serializeTrojan(proxy) {
+        const query = buildQuery([
+            ['security', proxy.tls ? 'tls' : 'none'],
+            ...transportParams(proxy),
+            ['sni', proxy.sni],
+            ['allowInsecure', proxy.skipCertVerify ? '1' : '']
+        ]);
+        return `trojan://${encodeURIComponent(proxy.password)}@${formatHost(proxy.server)}:${proxy.port}?${query}#${encodeURIComponent(proxy.name)}`;
+    }
+
+    function serializeShadowsocks(proxy) {
+        const userInfo = encodeURIComponent(encodeBase64(`${proxy.cipher}:${proxy.password}`));
+        const params = [];
+        if (proxy.network === 'ws') {
+            const pluginOptions = ['v2ray-plugin'];
+            if (proxy.tls) pluginOptions.push('tls');
+            pluginOptions.push('mux=0', 'mode=websocket', `path=${proxy.wsPath || '/'}`);
+            if (proxy.wsHost) pluginOptions.push(`host=${proxy.wsHost}`);
+            params.push(['plugin', pluginOptions.join(';')]);
+        }
+        params.push(['sni', proxy.sni], ['allowInsecure', proxy.skipCertVerify ? '1' : '']);
+        const query = buildQuery(params);
+        return `ss://${userInfo}@${formatHost(proxy.server)}:${proxy.port}${query ? `?${query}` : ''}#${encodeURIComponent(proxy.name)}`;
+    }
+
+    function serializeHysteria2(proxy) {
+        const query = buildQuery([
+            ['sni', proxy.sni],
+            ['insecure', proxy.skipCertVerify ? '1' : ''],
+            ['alpn', (proxy.alpn || []).join(',')],
+            ['obfs', proxy.obfs],
+            ['obfs-password', proxy.obfs ? proxy.obfsPassword : ''],
+            ['up', proxy.up],
+            ['down', proxy.down]
+        ]);
+        return `hysteria2://${encodeURIComponent(proxy.password)}@${formatHost(proxy.server)}:${proxy.ports || proxy.port}/${query ? `?${query}` : ''}#${encodeURIComponent(proxy.name)}`;
+    }
+
+    function serializeTuic(proxy) {
+        const query = buildQuery([
+            ['sni', proxy.sni],
+            ['alpn', (proxy.alpn || []).join(',')],
+            ['congestion_control', proxy.congestionControl],
+            ['udp_relay_mode', proxy.udpRelayMode],
+            ['allow_insecure', proxy.skipCertVerify ? '1' : '']
+        ]);
+        return `tuic://${encodeURIComponent(proxy.uuid)}:${encodeURIComponent(proxy.password)}@${formatHost(proxy.server)}:${proxy.port}${query ? `?${query}` : ''}#${encodeURIComponent(proxy.name)}`;
+    }
+
+    /**
+     * Returns the transport-related query parameters for URL-style links.
+     * @param {object} proxy - The normalized proxy object.
+     * @returns {Array<Array<string>>} Key/value pairs.
+     */
+    function transportParams(proxy) {
+        const network = proxy.network || 'tcp';
+        switch (network) {
+            case 'tcp':
+                return proxy.headerType === 'http'
+                    ? [['type', 'tcp'], ['headerType', 'http'], ['host', proxy.wsHost], ['path', proxy.wsPath || '/']]
+                    : [['type', 'tcp']];
+            case 'grpc':
+                return [['type', 'grpc'], ['serviceName', proxy.serviceName], ['mode', proxy.mode]];
+            case 'h2':
+                return [['type', 'http'], ['host', proxy.wsHost], ['path', proxy.wsPath || '/']];
+            case 'xhttp':
+                return [['type', 'xhttp'], ['host', proxy.wsHost], ['path', proxy.wsPath || '/'], ['mode', proxy.mode]];
+            default:
+                return [['type', network], ['host', proxy.wsHost], ['path', proxy.wsPath || '/']];
+        }
+    }
+
+    // --- UTILITIES ---
+
+    function buildQuery(pairs) {
+        return pairs
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+    }
+
+    function parseUrl(link, label) {
+        try {
+            return new URL(link);
+        } catch (error) {
+            throw new Error(`Invalid ${label} link format`);
+        }
+    }
+
+    function getHostname(url) {
+        return url.hostname.replace(/^\[(.*)\]$/, '$1');
+    }
+
+    function formatHost(server) {
+        return String(server).includes(':') ? `[${server}]` : server;
+    }
+
+    function getName(url, fallback) {
+        return safeDecode(url.hash.substring(1)) || fallback;
+    }
+
+    function safeDecode(value) {
+        try {
+            return decodeURIComponent(value || '');
+        } catch (error) {
+            return value || '';
+        }
+    }
+
+    function parseList(value) {
+        return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+    }
+
+    function isTruthyFlag(value) {
+        return value === true || value === 1 || value === '1' || value === 'true';
+    }
+
+    return { parse, serialize, validate, encodeBase64, decodeBase64 };
+})();
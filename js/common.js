@@ -64,20 +64,58 @@ function generateUUIDv4() {
 }
 
 /**
- * Safely encodes a string or object into Base64.
+ * Safely encodes a string or object into Base64, keeping non-Latin characters intact.
  * @param {string|object} data - The data to encode.
  * @returns {string} The Base64 encoded string, or an empty string on error.
  */
 function safeBase64Encode(data) {
     try {
         const stringToEncode = typeof data === 'object' ? JSON.stringify(data) : String(data);
-        return window.btoa(stringToEncode);
+        // btoa only accepts Latin-1, so encode to UTF-8 bytes first
+        const bytes = new TextEncoder().encode(stringToEncode);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return window.btoa(binary);
     } catch (error) {
         console.error('Base64 encoding error:', error);
         return '';
     }
 }
 
+/**
+ * Fetches a URL as text, retrying through a public CORS proxy when the direct request fails.
+ * @param {string} url - The URL to fetch.
+ * @returns {Promise<{text: string, headers: Headers|null}>} The body, plus the response headers when fetched directly.
+ * @throws {Error} If every attempt fails.
+ */
+async function fetchWithCorsFallback(url) {
+    const attempts = [
+        async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return { text: await response.text(), headers: response.headers };
+        },
+        async (url) => {
+            const response = await fetch(`https://api.allorigins.win/get?url=${encodeURIComponent(url)}`);
+            const data = await response.json();
+            if (!data.contents) throw new Error('CORS proxy failed to get contents');
+            // The proxy does not relay the original response headers
+            return { text: data.contents, headers: null };
+        },
+    ];
+
+    let lastError;
+    for (const attempt of attempts) {
+        try {
+            return await attempt(url);
+        } catch (error) {
+            console.error('Fetch attempt failed:', error);
+            lastError = error;
+        }
+    }
+    throw new Error(`All fetch attempts failed: ${lastError.message}`);
+}
+
 /**
  * Formats a date object into a readable string.
  * @param {Date} date - The date to format.
@@ -1,29 +1,103 @@
 /**
- * @fileoverview JavaScript for the V2Ray to Clash converter page.
+ * @fileoverview JavaScript for the V2Ray to Clash / sing-box converter page.
  */
 
 document.addEventListener("DOMContentLoaded", () => {
     // --- DOM ELEMENTS ---
     const dom = {
         v2rayInput: document.getElementById("v2ray-input"),
+        v2rayInputLabel: document.getElementById("v2ray-input-label"),
+        // Subscriptions
+        subscriptionInputContainer: document.getElementById("subscription-input-container"),
+        subscriptionInput: document.getElementById("subscription-input"),
+        subscriptionInfo: document.getElementById("subscription-info"),
+        // Input mode
+        linksInputModeBtn: document.getElementById("links-input-mode"),
+        configInputModeBtn: document.getElementById("config-input-mode"),
+        outputOptionsSection: document.getElementById("output-options"),
         configOutput: document.getElementById("config-output"),
         convertBtn: document.getElementById("convert-v2ray"),
         copyBtn: document.getElementById("copy-config"),
         loadingIndicator: document.getElementById("loading-indicator"),
         errorMessage: document.getElementById("error-message"),
+        diagnosticsPanel: document.getElementById("diagnostics-panel"),
+        diagnosticsSummary: document.getElementById("diagnostics-summary"),
+        diagnosticsList: document.getElementById("diagnostics-list"),
+        // Output format
+        clashFormatBtn: document.getElementById("clash-format"),
+        singboxFormatBtn: document.getElementById("singbox-format"),
+        // Duplicate handling
+        dedupeKeepFirstBtn: document.getElementById("dedupe-keep-first"),
+        dedupeKeepLastBtn: document.getElementById("dedupe-keep-last"),
+        dedupeMergeNamesBtn: document.getElementById("dedupe-merge-names"),
+        // Naming
+        nameTemplateInput: document.getElementById("name-template"),
+        renameRulesInput: document.getElementById("rename-rules"),
         // Config type
         minimalConfigBtn: document.getElementById("minimal-config"),
         fullConfigBtn: document.getElementById("full-config"),
+        providerConfigBtn: document.getElementById("provider-config"),
+        mergeConfigBtn: document.getElementById("merge-config"),
+        // Proxy provider
+        providerOptionsSection: document.getElementById("provider-options"),
+        providerHttpBtn: document.getElementById("provider-http"),
+        providerFileBtn: document.getElementById("provider-file"),
+        providerNameInput: document.getElementById("provider-name"),
+        providerIntervalInput: document.getElementById("provider-interval"),
+        providerUrlContainer: document.getElementById("provider-url-container"),
+        providerUrlInput: document.getElementById("provider-url"),
+        providerHealthUrlInput: document.getElementById("provider-health-url"),
+        providerHealthIntervalInput: document.getElementById("provider-health-interval"),
+        providerOutputContainer: document.getElementById("provider-output-container"),
+        providerOutputName: document.getElementById("provider-output-name"),
+        providerOutput: document.getElementById("provider-output"),
+        copyProviderBtn: document.getElementById("copy-provider"),
+        saveProviderFileBtn: document.getElementById("save-provider-file"),
+        // Merge into existing config
+        mergeOptionsSection: document.getElementById("merge-options"),
+        baseConfigInput: document.getElementById("base-config-input"),
+        baseConfigFileInput: document.getElementById("base-config-file"),
+        mergeReplaceBtn: document.getElementById("merge-replace"),
+        mergeAppendBtn: document.getElementById("merge-append"),
+        mergeGroupList: document.getElementById("merge-group-list"),
+        mergeSummary: document.getElementById("merge-summary"),
+        mergeSummaryContent: document.getElementById("merge-summary-content"),
+        applyMergeBtn: document.getElementById("apply-merge"),
+        cancelMergeBtn: document.getElementById("cancel-merge"),
         // Clash options
         clashOptionsSection: document.getElementById("clash-options"),
         fakeIpBtn: document.getElementById("fake-ip"),
         redirHostBtn: document.getElementById("redir-host"),
+        // General & DNS settings
+        settingsPresetSelect: document.getElementById("settings-preset"),
+        settingPortInput: document.getElementById("setting-port"),
+        settingSocksPortInput: document.getElementById("setting-socks-port"),
+        settingMixedPortInput: document.getElementById("setting-mixed-port"),
+        settingRedirPortInput: document.getElementById("setting-redir-port"),
+        settingControllerInput: document.getElementById("setting-controller"),
+        settingSecretInput: document.getElementById("setting-secret"),
+        settingAllowLanCheckbox: document.getElementById("setting-allow-lan"),
+        settingIpv6Checkbox: document.getElementById("setting-ipv6"),
+        settingTunEnableCheckbox: document.getElementById("setting-tun-enable"),
+        settingTunAutoRouteCheckbox: document.getElementById("setting-tun-auto-route"),
+        settingTunAutoDetectCheckbox: document.getElementById("setting-tun-auto-detect"),
+        settingTunStackSelect: document.getElementById("setting-tun-stack"),
+        dnsListenInput: document.getElementById("dns-listen"),
+        dnsIpv6Checkbox: document.getElementById("dns-ipv6"),
+        dnsDefaultNameserverInput: document.getElementById("dns-default-nameserver"),
+        dnsNameserverInput: document.getElementById("dns-nameserver"),
+        dnsFallbackInput: document.getElementById("dns-fallback"),
+        dnsFakeIpFilterInput: document.getElementById("dns-fake-ip-filter"),
+        dnsNameserverPolicyInput: document.getElementById("dns-nameserver-policy"),
         bestPingBtn: document.getElementById("best-ping"),
         loadBalanceBtn: document.getElementById("load-balance"),
         fallbackBtn: document.getElementById("fallback"),
+        regionGroupsBtn: document.getElementById("region-groups"),
         allGroupsBtn: document.getElementById("all-groups"),
         adsBlockBtn: document.getElementById("ads-block"),
         pornBlockBtn: document.getElementById("porn-block"),
+        ruleProviderList: document.getElementById("rule-provider-list"),
+        customRulesInput: document.getElementById("custom-rules"),
         // Download buttons
         saveProxyProviderBtn: document.getElementById("save-proxy-provider"),
         saveFullConfigBtn: document.getElementById("save-full-config"),
@@ -33,8 +107,29 @@ document.addEventListener("DOMContentLoaded", () => {
         customServerInput: document.getElementById("custom-server-input"),
         nonWildcardBtn: document.getElementById("non-wildcard-btn"),
         wildcardBtn: document.getElementById("wildcard-btn"),
+        // Presets
+        presetSelect: document.getElementById("preset-select"),
+        presetNameInput: document.getElementById("preset-name"),
+        savePresetBtn: document.getElementById("save-preset"),
+        deletePresetBtn: document.getElementById("delete-preset"),
+        exportPresetsBtn: document.getElementById("export-presets"),
+        importPresetsInput: document.getElementById("import-presets"),
     };
 
+    // Toggle buttons whose .active state is saved in presets
+    const PRESET_TOGGLES = [
+        'linksInputModeBtn', 'configInputModeBtn', 'clashFormatBtn', 'singboxFormatBtn',
+        'dedupeKeepFirstBtn', 'dedupeKeepLastBtn', 'dedupeMergeNamesBtn',
+        'minimalConfigBtn', 'fullConfigBtn', 'providerConfigBtn', 'mergeConfigBtn', 'mergeReplaceBtn', 'mergeAppendBtn',
+        'providerHttpBtn', 'providerFileBtn', 'fakeIpBtn', 'redirHostBtn',
+        'bestPingBtn', 'loadBalanceBtn', 'fallbackBtn', 'regionGroupsBtn', 'allGroupsBtn', 'adsBlockBtn', 'pornBlockBtn',
+        'customServerToggleBtn', 'nonWildcardBtn', 'wildcardBtn',
+    ];
+    // Fields holding pasted data or results rather than settings, so presets leave them alone
+    const PRESET_SKIPPED_FIELDS = ['v2rayInput', 'configOutput', 'providerOutput', 'baseConfigInput', 'presetSelect', 'presetNameInput'];
+    // Region group names from the last generated config; they depend on the proxies converted
+    let lastRegionGroupNames = [];
+
     // --- EVENT LISTENERS ---
 
     // Main conversion button
@@ -42,30 +137,70 @@ document.addEventListener("DOMContentLoaded", () => {
 
     // Copy and download buttons
     dom.copyBtn.addEventListener("click", () => copyToClipboard(dom.configOutput.value, dom.copyBtn));
+    dom.copyProviderBtn.addEventListener("click", () => copyToClipboard(dom.providerOutput.value, dom.copyProviderBtn));
     dom.saveProxyProviderBtn.addEventListener("click", () => downloadConfig('proxy_provider'));
+    dom.saveProviderFileBtn.addEventListener("click", downloadProviderFile);
     dom.saveFullConfigBtn.addEventListener("click", () => downloadConfig('full_config'));
 
     // UI Toggles
-    setupToggle(dom.minimalConfigBtn, [dom.fullConfigBtn], handleConfigTypeChange);
-    setupToggle(dom.fullConfigBtn, [dom.minimalConfigBtn], handleConfigTypeChange);
+    setupToggle(dom.linksInputModeBtn, [dom.configInputModeBtn], handleInputModeChange);
+    setupToggle(dom.configInputModeBtn, [dom.linksInputModeBtn], handleInputModeChange);
+    setupToggle(dom.clashFormatBtn, [dom.singboxFormatBtn]);
+    setupToggle(dom.singboxFormatBtn, [dom.clashFormatBtn]);
+    setupToggle(dom.dedupeKeepFirstBtn, [dom.dedupeKeepLastBtn, dom.dedupeMergeNamesBtn]);
+    setupToggle(dom.dedupeKeepLastBtn, [dom.dedupeKeepFirstBtn, dom.dedupeMergeNamesBtn]);
+    setupToggle(dom.dedupeMergeNamesBtn, [dom.dedupeKeepFirstBtn, dom.dedupeKeepLastBtn]);
+    setupToggle(dom.minimalConfigBtn, [dom.fullConfigBtn, dom.providerConfigBtn, dom.mergeConfigBtn], handleConfigTypeChange);
+    setupToggle(dom.fullConfigBtn, [dom.minimalConfigBtn, dom.providerConfigBtn, dom.mergeConfigBtn], handleConfigTypeChange);
+    setupToggle(dom.providerConfigBtn, [dom.minimalConfigBtn, dom.fullConfigBtn, dom.mergeConfigBtn], handleConfigTypeChange);
+    setupToggle(dom.mergeConfigBtn, [dom.minimalConfigBtn, dom.fullConfigBtn, dom.providerConfigBtn], handleConfigTypeChange);
+    setupToggle(dom.providerHttpBtn, [dom.providerFileBtn], handleProviderTypeChange);
+    setupToggle(dom.providerFileBtn, [dom.providerHttpBtn], handleProviderTypeChange);
+    setupToggle(dom.mergeReplaceBtn, [dom.mergeAppendBtn]);
+    setupToggle(dom.mergeAppendBtn, [dom.mergeReplaceBtn]);
     setupToggle(dom.fakeIpBtn, [dom.redirHostBtn]);
     setupToggle(dom.redirHostBtn, [dom.fakeIpBtn]);
-    setupToggle(dom.bestPingBtn);
-    setupToggle(dom.loadBalanceBtn);
-    setupToggle(dom.fallbackBtn);
+    setupToggle(dom.bestPingBtn, [], updateRuleTargets);
+    setupToggle(dom.loadBalanceBtn, [], updateRuleTargets);
+    setupToggle(dom.fallbackBtn, [], updateRuleTargets);
+    setupToggle(dom.regionGroupsBtn, [], updateRuleTargets);
     setupToggle(dom.adsBlockBtn);
     setupToggle(dom.pornBlockBtn);
     setupToggle(dom.customServerToggleBtn, [], () => toggleVisibility(dom.customServerInputContainer));
     setupToggle(dom.nonWildcardBtn, [dom.wildcardBtn]);
     setupToggle(dom.wildcardBtn, [dom.nonWildcardBtn]);
 
+    renderRuleProviders();
+    dom.baseConfigInput.addEventListener("input", renderMergeGroups);
+    dom.baseConfigFileInput.addEventListener("change", handleBaseConfigUpload);
+    dom.applyMergeBtn.addEventListener("click", applyPendingMerge);
+    dom.cancelMergeBtn.addEventListener("click", cancelPendingMerge);
+    applySettingsPreset(dom.settingsPresetSelect.value);
+    dom.settingsPresetSelect.addEventListener("change", () => applySettingsPreset(dom.settingsPresetSelect.value));
+    FormPresets.attach({
+        storageKey: 'nixgen-converter-presets',
+        select: dom.presetSelect,
+        nameInput: dom.presetNameInput,
+        saveButton: dom.savePresetBtn,
+        deleteButton: dom.deletePresetBtn,
+        exportButton: dom.exportPresetsBtn,
+        importInput: dom.importPresetsInput,
+        read: readPreset,
+        apply: applyPreset,
+        notify: showToast,
+    });
+
     dom.allGroupsBtn.addEventListener("click", () => {
         const isActive = dom.allGroupsBtn.classList.toggle("active");
-        [dom.bestPingBtn, dom.loadBalanceBtn, dom.fallbackBtn].forEach(btn => 
+        [dom.bestPingBtn, dom.loadBalanceBtn, dom.fallbackBtn, dom.regionGroupsBtn].forEach(btn => 
             isActive ? btn.classList.add("active") : btn.classList.remove("active")
         );
+        updateRuleTargets();
     });
 
+    // Clash config waiting for the user to confirm the merge preview
+    let pendingMerge = null;
+
     // --- FUNCTIONS ---
 
     /**
@@ -73,18 +208,34 @@ document.addEventListener("DOMContentLoaded", () => {
      */
     function handleConversion() {
         const v2rayLinks = dom.v2rayInput.value.trim();
-        if (!v2rayLinks) {
-            showError("Please enter V2Ray links to convert.");
+        const subscriptionUrls = isImportMode() ? [] : readSubscriptionUrls();
+        if (!v2rayLinks && subscriptionUrls.length === 0) {
+            showError(isImportMode()
+                ? "Please paste a Clash or sing-box config to import."
+                : "Please enter V2Ray links or subscription URLs to convert.");
             return;
         }
 
         showLoading();
+        hideDiagnostics();
         // Use a timeout to allow the UI to update before the potentially blocking conversion logic
-        setTimeout(() => {
+        setTimeout(async () => {
             try {
-                const parsedLinks = parseLinks(v2rayLinks);
-                const clashConfig = generateClashConfig(parsedLinks);
-                dom.configOutput.value = clashConfig;
+                if (isImportMode()) {
+                    handleImport(v2rayLinks);
+                    return;
+                }
+                const subscriptionEntries = await loadSubscriptions(subscriptionUrls);
+                const parsedLinks = prepareProxies(parseLinks([...readPastedLinks(v2rayLinks), ...subscriptionEntries]));
+                if (isMergeMode()) {
+                    previewMerge(parsedLinks);
+                    hideError();
+                    return;
+                }
+                dom.configOutput.value = isSingboxOutput()
+                    ? generateSingboxConfig(parsedLinks)
+                    : generateClashConfig(parsedLinks);
+                dom.providerOutput.value = isProviderMode() ? generateProviderFile(parsedLinks) : "";
                 hideError();
             } catch (error) {
                 showError(error.message || "Failed to convert V2Ray links. Please check your input.");
@@ -95,27 +246,695 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     /**
-     * Parses a string of V2Ray links into an array of proxy objects.
+     * Splits the pasted text into link entries labelled with their line number.
      * @param {string} v2rayLinks - Newline-separated V2Ray links.
+     * @returns {Array<{label: string, link: string}>} The non-empty lines.
+     */
+    function readPastedLinks(v2rayLinks) {
+        return v2rayLinks.split(/\r?\n/)
+            .map((line, index) => ({ label: `Line ${index + 1}`, link: line.trim() }))
+            .filter(entry => entry.link);
+    }
+
+    /**
+     * Parses link entries into proxy objects, skipping and reporting the ones that fail.
+     * @param {Array<{label: string, link: string}>} entries - The links with their source labels.
      * @returns {Array<object>} An array of parsed proxy objects.
+     * @throws {Error} If no link could be parsed.
      */
-    function parseLinks(v2rayLinks) {
-        const links = v2rayLinks.split(/\r?\n/).filter(line => line.trim());
-        if (links.length === 0) {
+    function parseLinks(entries) {
+        const parsed = [];
+        const rejected = [];
+        entries.forEach(({ label, link }) => {
+            try {
+                parsed.push(LinkCodec.parse(link));
+            } catch (error) {
+                rejected.push({ label, reason: error.message });
+            }
+        });
+
+        showDiagnostics(rejected, entries.length);
+        if (parsed.length === 0) {
             throw new Error("No valid V2Ray links found.");
         }
-        let parsed = links.map(parseV2rayLink);
+        return applyCustomServerSettings(parsed);
+    }
 
-        // Apply custom server/bug if enabled
+    /**
+     * Applies the custom server/bug settings to every parsed link, if enabled.
+     * @param {Array<object>} parsed - The parsed proxy objects.
+     * @returns {Array<object>} The (possibly modified) proxy objects.
+     */
+    function applyCustomServerSettings(parsed) {
         if (dom.customServerToggleBtn.classList.contains("active")) {
             const customServer = dom.customServerInput.value.trim();
             if (customServer) {
                 const isWildcard = dom.wildcardBtn.classList.contains("active");
-                parsed = parsed.map(link => applyCustomServer(link, customServer, isWildcard));
+                return parsed.map(link => applyCustomServer(link, customServer, isWildcard));
             }
         }
         return parsed;
     }
+
+    // --- DEDUPLICATION & NAMING ---
+
+    // Built-in Clash policies plus the group and outbound tags we generate ourselves
+    const RESERVED_NAMES = ['DIRECT', 'REJECT', 'GLOBAL', 'PROXY', 'Best Ping', 'Load Balance', 'Fallback', 'direct'];
+
+    /**
+     * Removes duplicate servers, renames the rest from the name template and keeps every name unique.
+     * @param {Array<object>} proxies - The parsed proxy objects.
+     * @returns {Array<object>} The deduplicated, renamed proxies.
+     */
+    function prepareProxies(proxies) {
+        const unique = dedupeProxies(proxies, getDedupeMode());
+        const removed = proxies.length - unique.length;
+        if (removed > 0) {
+            showToast(`Removed ${removed} duplicate server${removed === 1 ? '' : 's'}.`, 'info');
+        }
+        return assignUniqueNames(renameProxies(unique));
+    }
+
+    /**
+     * Applies the name template and rename rules to every proxy.
+     * @param {Array<object>} proxies - The proxy objects.
+     * @returns {Array<object>} Copies of the proxies with their new names.
+     * @throws {Error} If a rename rule is invalid.
+     */
+    function renameProxies(proxies) {
+        const template = dom.nameTemplateInput.value.trim() || '{original}';
+        const rules = ProxyNaming.parseRules(dom.renameRulesInput.value);
+        return proxies.map((proxy, index) => {
+            // Remember the country before renaming, since the template may drop it from the name
+            const country = proxy.country || ProxyNaming.detectCountry(proxy.name);
+            return {
+                ...proxy,
+                country,
+                name: ProxyNaming.format(template, {
+                    index: index + 1,
+                    country,
+                    provider: ProxyNaming.stripCountry(proxy.name),
+                    protocol: proxy.type.toUpperCase(),
+                    tls: proxy.reality ? 'REALITY' : (proxy.tls ? 'TLS' : 'NTLS'),
+                    server: proxy.server,
+                    original: proxy.name
+                }, rules)
+            };
+        });
+    }
+
+    function getDedupeMode() {
+        if (dom.dedupeKeepLastBtn.classList.contains("active")) return 'last';
+        if (dom.dedupeMergeNamesBtn.classList.contains("active")) return 'merge';
+        return 'first';
+    }
+
+    /**
+     * Builds the key that identifies a connection, ignoring its display name.
+     * @param {object} proxy - The parsed proxy object.
+     * @returns {string} The identity key.
+     */
+    function getConnectionKey(proxy) {
+        return [
+            proxy.type, String(proxy.server).toLowerCase(), proxy.port,
+            proxy.uuid || proxy.password || '',
+            proxy.network || '', proxy.wsPath || '', proxy.wsHost || '', proxy.serviceName || '', proxy.sni || ''
+        ].join('|');
+    }
+
+    /**
+     * Collapses proxies that share a connection identity.
+     * @param {Array<object>} proxies - The parsed proxy objects.
+     * @param {string} mode - 'first' keeps the first occurrence, 'last' the last, 'merge' the first with all names joined.
+     * @returns {Array<object>} The deduplicated proxies, in first-seen order.
+     */
+    function dedupeProxies(proxies, mode) {
+        const byKey = new Map();
+        proxies.forEach(proxy => {
+            const key = getConnectionKey(proxy);
+            const existing = byKey.get(key);
+            if (!existing) {
+                byKey.set(key, { ...proxy });
+            } else if (mode === 'last') {
+                byKey.set(key, { ...proxy });
+            } else if (mode === 'merge' && !existing.name.split(' | ').includes(proxy.name)) {
+                existing.name = `${existing.name} | ${proxy.name}`;
+            }
+        });
+        return [...byKey.values()];
+    }
+
+    /**
+     * Makes proxy names unique by numbering repeats, since Clash and sing-box reject duplicate names.
+     * Names of the region groups that will be generated are taken too.
+     * @param {Array<object>} proxies - The proxy objects.
+     * @returns {Array<object>} Copies of the proxies with unique names.
+     */
+    function assignUniqueNames(proxies) {
+        const regionGroupNames = dom.regionGroupsBtn.classList.contains("active")
+            ? proxies.map(getProxyCountry).filter(Boolean).map(regionGroupName)
+            : [];
+        const names = ProxyNaming.uniqueNames(
+            proxies.map(proxy => String(proxy.name || proxy.server).trim() || String(proxy.server)),
+            [...RESERVED_NAMES, ...regionGroupNames]
+        );
+        return proxies.map((proxy, index) => ({ ...proxy, name: names[index] }));
+    }
+
+    // --- SUBSCRIPTIONS ---
+
+    /**
+     * Reads the subscription URLs entered by the user.
+     * @returns {Array<string>} The non-empty URLs.
+     */
+    function readSubscriptionUrls() {
+        return dom.subscriptionInput.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Fetches every subscription, shows each source's status and returns the merged share links.
+     * @param {Array<string>} urls - The subscription URLs.
+     * @returns {Promise<Array<{label: string, link: string}>>} The links from all sources that could be loaded.
+     */
+    async function loadSubscriptions(urls) {
+        dom.subscriptionInfo.innerHTML = "";
+        dom.subscriptionInfo.classList.toggle("hidden", urls.length === 0);
+
+        const results = await Promise.all(urls.map(async url => {
+            try {
+                const { text, headers } = await fetchWithCorsFallback(url);
+                const links = decodeSubscription(text);
+                if (links.length === 0) throw new Error("Response contains no share links");
+                const userinfo = parseSubscriptionUserinfo(headers && headers.get("subscription-userinfo"));
+                return { url, links, userinfo };
+            } catch (error) {
+                return { url, links: [], error };
+            }
+        }));
+
+        results.forEach(result => dom.subscriptionInfo.appendChild(renderSubscriptionInfo(result)));
+        const failed = results.filter(result => result.error).length;
+        if (failed > 0) {
+            showToast(`${failed} of ${results.length} subscriptions could not be loaded.`, 'error');
+        }
+        return results.flatMap(({ url, links }) =>
+            links.map((link, index) => ({ label: `${getSourceLabel(url)} #${index + 1}`, link }))
+        );
+    }
+
+    function getSourceLabel(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    /**
+     * Decodes a subscription body, which is usually a base64-encoded list of share links.
+     * @param {string} text - The raw response body.
+     * @returns {Array<string>} The share links it contains.
+     */
+    function decodeSubscription(text) {
+        let content = text.trim();
+        if (!/^[a-z0-9-]+:\/\//im.test(content)) {
+            try {
+                content = LinkCodec.decodeBase64(content.replace(/\s+/g, ''));
+            } catch (error) {
+                throw new Error("Response is neither a link list nor valid base64");
+            }
+        }
+        return content.split(/\r?\n/).map(line => line.trim()).filter(line => /^[a-z0-9-]+:\/\//i.test(line));
+    }
+
+    /**
+     * Parses a `subscription-userinfo` header (upload=..; download=..; total=..; expire=..).
+     * @param {string|null} header - The header value.
+     * @returns {object|null} The numeric fields, or null if the header is missing.
+     */
+    function parseSubscriptionUserinfo(header) {
+        if (!header) return null;
+        const info = {};
+        header.split(';').forEach(part => {
+            const [key, value] = part.split('=').map(item => item.trim());
+            if (key && value && !isNaN(value)) info[key.toLowerCase()] = Number(value);
+        });
+        return Object.keys(info).length > 0 ? info : null;
+    }
+
+    /**
+     * Builds the status line shown for one subscription source.
+     * @param {{url: string, links: Array<string>, userinfo?: object, error?: Error}} result - The load result.
+     * @returns {HTMLElement} The rendered element.
+     */
+    function renderSubscriptionInfo({ url, links, userinfo, error }) {
+        const item = document.createElement("div");
+        item.className = `text-xs font-mono p-2 rounded-lg border ${error ? 'border-red-500/30 text-red-400' : 'border-cyan-500/20 text-gray-400'} bg-slate-800/40 break-all`;
+
+        const details = [];
+        if (error) {
+            details.push(error.message);
+        } else {
+            details.push(`${links.length} links`);
+            if (userinfo) {
+                const used = (userinfo.upload || 0) + (userinfo.download || 0);
+                details.push(userinfo.total ? `${formatBytes(used)} / ${formatBytes(userinfo.total)} used` : `${formatBytes(used)} used`);
+                if (userinfo.expire) details.push(`expires ${formatDate(new Date(userinfo.expire * 1000))}`);
+            }
+        }
+        item.textContent = `${getSourceLabel(url)} — ${details.join(' · ')}`;
+        return item;
+    }
+
+    /**
+     * Formats a byte count using binary units.
+     * @param {number} bytes - The byte count.
+     * @returns {string} The formatted size.
+     */
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 2)} ${units[unit]}`;
+    }
+
+    // --- MERGE INTO EXISTING CONFIG ---
+
+    function isMergeMode() {
+        return dom.mergeConfigBtn.classList.contains("active") && !isImportMode();
+    }
+
+    /**
+     * Parses the pasted base config.
+     * @returns {object} The Clash config object.
+     * @throws {Error} If the YAML is missing or is not a Clash config.
+     */
+    function readBaseConfig() {
+        const text = dom.baseConfigInput.value.trim();
+        if (!text) throw new Error("Paste or upload the existing Clash config to merge into.");
+        let config;
+        try {
+            config = jsyaml.load(text);
+        } catch (error) {
+            throw new Error(`Invalid YAML in existing config: ${error.message}`);
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error("The existing config is not a Clash config object.");
+        }
+        return config;
+    }
+
+    async function handleBaseConfigUpload() {
+        const file = dom.baseConfigFileInput.files[0];
+        if (!file) return;
+        dom.baseConfigInput.value = await file.text();
+        dom.baseConfigFileInput.value = "";
+        renderMergeGroups();
+    }
+
+    /**
+     * Lists the base config's proxy groups as toggles; groups that already hold proxies start selected.
+     */
+    function renderMergeGroups() {
+        let config;
+        try {
+            config = readBaseConfig();
+        } catch (error) {
+            dom.mergeGroupList.textContent = error.message;
+            return;
+        }
+        const proxyNames = new Set((config.proxies || []).map(proxy => proxy && proxy.name));
+        const groups = Array.isArray(config['proxy-groups']) ? config['proxy-groups'] : [];
+
+        dom.mergeGroupList.innerHTML = "";
+        if (groups.length === 0) {
+            dom.mergeGroupList.textContent = "This config has no proxy-groups.";
+            return;
+        }
+        groups.forEach(group => {
+            const button = document.createElement("button");
+            button.className = "px-3 py-1.5 rounded-md text-xs bg-slate-800/60 border border-cyan-500/30 text-gray-300 transition-all hover:bg-slate-700/70 hover:text-white";
+            button.textContent = group.name;
+            button.dataset.group = group.name;
+            if ((group.proxies || []).some(name => proxyNames.has(name))) button.classList.add("active");
+            button.addEventListener("click", () => button.classList.toggle("active"));
+            dom.mergeGroupList.appendChild(button);
+        });
+    }
+
+    function getSelectedMergeGroups() {
+        return [...dom.mergeGroupList.querySelectorAll("button.active")].map(button => button.dataset.group);
+    }
+
+    /**
+     * Merges the converted proxies into the base config and shows the summary for confirmation.
+     * @param {Array<object>} proxies - The parsed proxy objects.
+     */
+    function previewMerge(proxies) {
+        if (isSingboxOutput()) {
+            throw new Error("Merging works with Clash configs only. Switch the output format to Clash.");
+        }
+        const { config, summary } = mergeIntoConfig(readBaseConfig(), proxies, {
+            mode: dom.mergeAppendBtn.classList.contains("active") ? 'append' : 'replace',
+            groups: getSelectedMergeGroups()
+        });
+        pendingMerge = config;
+        renderMergeSummary(summary);
+    }
+
+    /**
+     * Builds the identity key of a Clash proxy entry, falling back to its name for types we cannot read.
+     * @param {object} clashProxy - The Clash proxy entry.
+     * @returns {string} The identity key.
+     */
+    function getClashProxyKey(clashProxy) {
+        try {
+            return getConnectionKey(parseClashProxy(clashProxy));
+        } catch (error) {
+            return `name:${clashProxy && clashProxy.name}`;
+        }
+    }
+
+    /**
+     * Replaces or appends proxies in a copy of the base config and updates group members to match.
+     * Everything outside `proxies` and group members is left as it was.
+     * @param {object} base - The existing Clash config.
+     * @param {Array<object>} proxies - The parsed proxy objects to merge in.
+     * @param {{mode: string, groups: Array<string>}} options - 'replace' or 'append', and the groups to add new names to.
+     * @returns {{config: object, summary: object}} The merged config and the added/removed/renamed summary.
+     */
+    function mergeIntoConfig(base, proxies, { mode, groups }) {
+        const config = structuredClone(base);
+        const proxyGroups = Array.isArray(config['proxy-groups']) ? config['proxy-groups'] : [];
+        const existing = (Array.isArray(config.proxies) ? config.proxies : []).map(proxy => ({ proxy, key: getClashProxyKey(proxy) }));
+        const existingByKey = new Map(existing.map(entry => [entry.key, entry]));
+        const summary = { added: [], removed: [], renamed: [], unchanged: 0, emptiedGroups: [] };
+
+        // New names must not clash with group names, nor with proxies that stay in append mode
+        const taken = new Set(proxyGroups.map(group => group.name));
+        if (mode === 'append') existing.forEach(entry => taken.add(entry.proxy.name));
+        const incoming = [];
+        proxies.forEach(proxy => {
+            const clashProxy = formatProxyForClash(proxy);
+            const key = getClashProxyKey(clashProxy);
+            if (incoming.some(entry => entry.key === key)) return;
+            if (mode === 'append' && existingByKey.has(key)) {
+                summary.unchanged++;
+                return;
+            }
+            let name = clashProxy.name;
+            for (let counter = 2; taken.has(name); counter++) name = `${clashProxy.name} (${counter})`;
+            taken.add(name);
+            incoming.push({ proxy: { ...clashProxy, name }, key });
+        });
+
+        const renames = new Map();
+        const removed = new Set();
+        incoming.forEach(({ proxy, key }) => {
+            const match = existingByKey.get(key);
+            if (!match) {
+                summary.added.push(proxy.name);
+            } else if (match.proxy.name !== proxy.name) {
+                renames.set(match.proxy.name, proxy.name);
+                summary.renamed.push({ from: match.proxy.name, to: proxy.name });
+            } else {
+                summary.unchanged++;
+            }
+        });
+        if (mode === 'replace') {
+            const incomingKeys = new Set(incoming.map(entry => entry.key));
+            existing.filter(entry => !incomingKeys.has(entry.key)).forEach(entry => {
+                removed.add(entry.proxy.name);
+                summary.removed.push(entry.proxy.name);
+            });
+            config.proxies = incoming.map(entry => entry.proxy);
+        } else {
+            config.proxies = [...existing.map(entry => entry.proxy), ...incoming.map(entry => entry.proxy)];
+        }
+
+        proxyGroups.forEach(group => {
+            const hadMembers = (group.proxies || []).length > 0;
+            let members = (group.proxies || [])
+                .filter(name => !removed.has(name))
+                .map(name => renames.get(name) || name);
+            if (groups.includes(group.name)) {
+                summary.added.forEach(name => {
+                    if (!members.includes(name)) members.push(name);
+                });
+            }
+            if (members.length === 0 && hadMembers && !group.use) {
+                // Clash refuses groups without members
+                members = ['DIRECT'];
+                summary.emptiedGroups.push(group.name);
+            }
+            if (group.proxies || members.length > 0) group.proxies = members;
+        });
+
+        return { config, summary };
+    }
+
+    /**
+     * Shows the added, removed and renamed proxies of a pending merge.
+     * @param {object} summary - The summary from mergeIntoConfig.
+     */
+    function renderMergeSummary(summary) {
+        const sections = [
+            [`Added (${summary.added.length})`, summary.added],
+            [`Removed (${summary.removed.length})`, summary.removed],
+            [`Renamed (${summary.renamed.length})`, summary.renamed.map(({ from, to }) => `${from} → ${to}`)],
+            [`Groups left empty, set to DIRECT (${summary.emptiedGroups.length})`, summary.emptiedGroups],
+        ];
+        dom.mergeSummaryContent.innerHTML = "";
+        sections.forEach(([title, items]) => {
+            if (items.length === 0) return;
+            const section = document.createElement("div");
+            const heading = document.createElement("p");
+            heading.className = "font-semibold text-cyan-200";
+            heading.textContent = title;
+            const list = document.createElement("ul");
+            items.forEach(item => {
+                const li = document.createElement("li");
+                li.textContent = item;
+                list.appendChild(li);
+            });
+            section.append(heading, list);
+            dom.mergeSummaryContent.appendChild(section);
+        });
+        const unchanged = document.createElement("p");
+        unchanged.textContent = `Unchanged: ${summary.unchanged}`;
+        dom.mergeSummaryContent.appendChild(unchanged);
+        dom.mergeSummary.classList.remove("hidden");
+    }
+
+    function applyPendingMerge() {
+        if (!pendingMerge) return;
+        dom.configOutput.value = jsyaml.dump(pendingMerge, { indent: 2 });
+        cancelPendingMerge();
+        showToast("Merged config is ready.", 'success');
+    }
+
+    function cancelPendingMerge() {
+        pendingMerge = null;
+        dom.mergeSummary.classList.add("hidden");
+    }
+
+    // --- CONFIG IMPORT (CLASH / SING-BOX -> LINKS) ---
+
+    function isImportMode() {
+        return dom.configInputModeBtn.classList.contains("active");
+    }
+
+    /**
+     * Converts a pasted Clash or sing-box config into share links and reports unmapped entries.
+     * @param {string} text - The pasted YAML or JSON.
+     */
+    function handleImport(text) {
+        const { format, entries } = readConfigEntries(text);
+        const proxies = [];
+        const rejected = [];
+
+        entries.forEach((entry, index) => {
+            const label = `#${index + 1} (${(entry && (entry.name || entry.tag)) || 'unnamed'})`;
+            try {
+                const proxy = format === 'singbox' ? SingBox.parseOutbound(entry) : parseClashProxy(entry);
+                if (proxy) proxies.push({ label, proxy });
+            } catch (error) {
+                rejected.push({ label, reason: error.message });
+            }
+        });
+
+        const custom = applyCustomServerSettings(proxies.map(entry => entry.proxy));
+        const links = [];
+        custom.forEach((proxy, index) => {
+            try {
+                LinkCodec.validate(proxy);
+                links.push(LinkCodec.serialize(proxy));
+            } catch (error) {
+                rejected.push({ label: proxies[index].label, reason: error.message });
+            }
+        });
+
+        dom.configOutput.value = links.join("\n");
+        showDiagnostics(rejected, links.length + rejected.length);
+        if (links.length === 0) {
+            throw new Error("No proxies could be converted to links.");
+        }
+        hideError();
+    }
+
+    /**
+     * Detects whether the pasted text is a sing-box JSON or a Clash YAML config and extracts its entries.
+     * @param {string} text - The pasted config.
+     * @returns {{format: string, entries: Array<object>}} The detected format and its proxy entries.
+     */
+    function readConfigEntries(text) {
+        let data;
+        if (text.startsWith('{') || text.startsWith('[')) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            if (!Array.isArray(data) && !Array.isArray(data.proxies)) {
+                const entries = Array.isArray(data.outbounds) ? data.outbounds : [data];
+                return { format: 'singbox', entries };
+            }
+            if (Array.isArray(data) && data.some(entry => entry && entry.server_port !== undefined)) {
+                return { format: 'singbox', entries: data };
+            }
+        } else {
+            try {
+                data = jsyaml.load(text);
+            } catch (error) {
+                throw new Error(`Invalid YAML: ${error.message}`);
+            }
+        }
+
+        const entries = Array.isArray(data) ? data : (data && Array.isArray(data.proxies) ? data.proxies : null);
+        if (!entries) {
+            throw new Error('No "proxies:" list or sing-box "outbounds" found in the pasted config.');
+        }
+        return { format: 'clash', entries };
+    }
+
+    /**
+     * Converts a Clash / Clash.Meta proxy entry into a normalized proxy object.
+     * @param {object} proxy - The Clash proxy entry.
+     * @returns {object} The normalized proxy object.
+     * @throws {Error} If the proxy type or network has no share-link form.
+     */
+    function parseClashProxy(proxy) {
+        if (!proxy || typeof proxy !== 'object') throw new Error('Not a proxy entry');
+        if (!proxy.server || !proxy.port) throw new Error('Missing server or port');
+        const password = proxy.password == null ? '' : String(proxy.password);
+
+        const base = {
+            name: proxy.name || String(proxy.server),
+            server: String(proxy.server),
+            port: parseInt(proxy.port, 10),
+            tls: Boolean(proxy.tls),
+            sni: proxy.servername || proxy.sni || String(proxy.server),
+            skipCertVerify: Boolean(proxy['skip-cert-verify']),
+        };
+
+        switch (proxy.type) {
+            case 'vmess':
+                return {
+                    ...base, type: 'vmess', uuid: proxy.uuid,
+                    alterId: parseInt(proxy.alterId || 0, 10), cipher: proxy.cipher || 'auto',
+                    ...readClashTransport(proxy)
+                };
+            case 'vless': {
+                const realityOpts = proxy['reality-opts'];
+                return {
+                    ...base, type: 'vless', uuid: proxy.uuid,
+                    tls: base.tls || Boolean(realityOpts),
+                    flow: proxy.flow || '',
+                    fingerprint: proxy['client-fingerprint'] || '',
+                    reality: Boolean(realityOpts),
+                    publicKey: realityOpts ? realityOpts['public-key'] || '' : '',
+                    shortId: realityOpts ? String(realityOpts['short-id'] || '') : '',
+                    spiderX: '',
+                    ...readClashTransport(proxy)
+                };
+            }
+            case 'trojan':
+                return { ...base, type: 'trojan', password, tls: true, ...readClashTransport(proxy) };
+            case 'ss': {
+                const pluginOpts = proxy['plugin-opts'] || {};
+                const isWebsocket = proxy.plugin === 'v2ray-plugin' && pluginOpts.mode === 'websocket';
+                if (proxy.plugin && !isWebsocket) throw new Error(`Unsupported ss plugin: ${proxy.plugin}`);
+                return {
+                    ...base, type: 'ss', cipher: proxy.cipher, password,
+                    tls: isWebsocket && Boolean(pluginOpts.tls),
+                    sni: pluginOpts.host || String(proxy.server),
+                    network: isWebsocket ? 'ws' : 'tcp',
+                    wsPath: pluginOpts.path || '/', wsHost: pluginOpts.host || ''
+                };
+            }
+            case 'hysteria2':
+                return {
+                    ...base, type: 'hysteria2', password, tls: true,
+                    alpn: proxy.alpn || [],
+                    obfs: proxy.obfs || '', obfsPassword: proxy['obfs-password'] || '',
+                    up: proxy.up ? String(proxy.up) : '', down: proxy.down ? String(proxy.down) : '',
+                    ports: proxy.ports ? String(proxy.ports) : ''
+                };
+            case 'tuic':
+                return {
+                    ...base, type: 'tuic', uuid: proxy.uuid, password, tls: true,
+                    alpn: proxy.alpn || [],
+                    congestionControl: proxy['congestion-controller'] || 'bbr',
+                    udpRelayMode: proxy['udp-relay-mode'] || 'native'
+                };
+            default:
+                throw new Error(`Unsupported proxy type: ${proxy.type}`);
+        }
+    }
+
+    /**
+     * Reads the network and *-opts block of a Clash proxy into normalized transport fields.
+     * @param {object} proxy - The Clash proxy entry.
+     * @returns {object} The network, wsPath, wsHost, headerType, serviceName and mode fields.
+     */
+    function readClashTransport(proxy) {
+        const fields = { network: 'tcp', wsPath: '/', wsHost: '', headerType: 'none', serviceName: '', mode: '' };
+        const first = value => (Array.isArray(value) ? value[0] : value) || '';
+
+        switch (proxy.network || 'tcp') {
+            case 'tcp':
+                return fields;
+            case 'ws': {
+                const opts = proxy['ws-opts'] || {};
+                return {
+                    ...fields,
+                    network: opts['v2ray-http-upgrade'] ? 'httpupgrade' : 'ws',
+                    wsPath: opts.path || proxy['ws-path'] || '/',
+                    wsHost: (opts.headers && opts.headers.Host) || ''
+                };
+            }
+            case 'grpc':
+                return { ...fields, network: 'grpc', serviceName: (proxy['grpc-opts'] || {})['grpc-service-name'] || '' };
+            case 'h2': {
+                const opts = proxy['h2-opts'] || {};
+                return { ...fields, network: 'h2', wsPath: opts.path || '/', wsHost: first(opts.host) };
+            }
+            case 'http': {
+                const opts = proxy['http-opts'] || {};
+                return { ...fields, headerType: 'http', wsPath: first(opts.path) || '/', wsHost: first(opts.headers && opts.headers.Host) };
+            }
+            case 'xhttp': {
+                const opts = proxy['xhttp-opts'] || {};
+                return { ...fields, network: 'xhttp', wsPath: opts.path || '/', wsHost: opts.host || '', mode: opts.mode || '' };
+            }
+            default:
+                throw new Error(`Unsupported network: ${proxy.network}`);
+        }
+    }
     
     /**
      * Applies custom server/bug settings to a parsed link.
@@ -140,52 +959,348 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     /**
-     * Generates the final Clash configuration YAML string.
-     * @param {Array<object>} parsedLinks - An array of parsed proxy objects.
-     * @returns {string} The generated Clash YAML configuration.
+     * Reads the full-configuration toggles shared by the Clash and sing-box outputs.
+     * @returns {object} The DNS mode, proxy group and rule set options.
      */
-    function generateClashConfig(parsedLinks) {
-        const isFullConfig = dom.fullConfigBtn.classList.contains("active");
-        const options = {
+    function getConfigOptions() {
+        return {
             useFakeIp: dom.fakeIpBtn.classList.contains("active"),
             groups: {
                 bestPing: dom.bestPingBtn.classList.contains("active"),
                 loadBalance: dom.loadBalanceBtn.classList.contains("active"),
                 fallback: dom.fallbackBtn.classList.contains("active"),
+                byRegion: dom.regionGroupsBtn.classList.contains("active"),
             },
             rules: {
                 adsBlock: dom.adsBlockBtn.classList.contains("active"),
                 pornBlock: dom.pornBlockBtn.classList.contains("active"),
+                providers: getSelectedRuleProviders(),
+                custom: ClashRules.parseRules(dom.customRulesInput.value),
+            }
+        };
+    }
+
+    /**
+     * Fills the general & DNS settings panel from a preset.
+     * @param {string} name - The preset key in ClashSettings.PRESETS.
+     */
+    function applySettingsPreset(name) {
+        const preset = ClashSettings.PRESETS[name] || ClashSettings.PRESETS.default;
+        dom.settingPortInput.value = preset.port;
+        dom.settingSocksPortInput.value = preset.socksPort;
+        dom.settingMixedPortInput.value = preset.mixedPort;
+        dom.settingRedirPortInput.value = preset.redirPort;
+        dom.settingControllerInput.value = preset.externalController;
+        dom.settingSecretInput.value = preset.secret;
+        dom.settingAllowLanCheckbox.checked = preset.allowLan;
+        dom.settingIpv6Checkbox.checked = preset.ipv6;
+        dom.settingTunEnableCheckbox.checked = preset.tun.enable;
+        dom.settingTunAutoRouteCheckbox.checked = preset.tun.autoRoute;
+        dom.settingTunAutoDetectCheckbox.checked = preset.tun.autoDetectInterface;
+        dom.settingTunStackSelect.value = preset.tun.stack;
+        dom.dnsListenInput.value = preset.dns.listen;
+        dom.dnsIpv6Checkbox.checked = preset.dns.ipv6;
+        dom.dnsDefaultNameserverInput.value = preset.dns.defaultNameserver.join("\n");
+        dom.dnsNameserverInput.value = preset.dns.nameserver.join("\n");
+        dom.dnsFallbackInput.value = preset.dns.fallback.join("\n");
+        dom.dnsFakeIpFilterInput.value = preset.dns.fakeIpFilter.join("\n");
+        dom.dnsNameserverPolicyInput.value = ClashSettings.formatPolicy(preset.dns.nameserverPolicy);
+        dom.fakeIpBtn.classList.toggle("active", preset.dns.useFakeIp);
+        dom.redirHostBtn.classList.toggle("active", !preset.dns.useFakeIp);
+    }
+
+    /**
+     * Reads the general & DNS settings panel into the ClashSettings shape.
+     * @returns {object} The settings.
+     * @throws {Error} If the nameserver policy is malformed.
+     */
+    function readClashSettings() {
+        const readList = textarea => textarea.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        return {
+            port: dom.settingPortInput.value.trim(),
+            socksPort: dom.settingSocksPortInput.value.trim(),
+            mixedPort: dom.settingMixedPortInput.value.trim(),
+            redirPort: dom.settingRedirPortInput.value.trim(),
+            allowLan: dom.settingAllowLanCheckbox.checked,
+            ipv6: dom.settingIpv6Checkbox.checked,
+            externalController: dom.settingControllerInput.value.trim(),
+            secret: dom.settingSecretInput.value.trim(),
+            tun: {
+                enable: dom.settingTunEnableCheckbox.checked,
+                stack: dom.settingTunStackSelect.value,
+                autoRoute: dom.settingTunAutoRouteCheckbox.checked,
+                autoDetectInterface: dom.settingTunAutoDetectCheckbox.checked
+            },
+            dns: {
+                listen: dom.dnsListenInput.value.trim(),
+                ipv6: dom.dnsIpv6Checkbox.checked,
+                useFakeIp: dom.fakeIpBtn.classList.contains("active"),
+                defaultNameserver: readList(dom.dnsDefaultNameserverInput),
+                nameserver: readList(dom.dnsNameserverInput),
+                fallback: readList(dom.dnsFallbackInput),
+                fakeIpFilter: readList(dom.dnsFakeIpFilterInput),
+                nameserverPolicy: ClashSettings.parsePolicy(dom.dnsNameserverPolicyInput.value)
             }
         };
+    }
+
+    /**
+     * Renders one row per catalogue rule provider: a toggle, its editable URL and its target.
+     */
+    function renderRuleProviders() {
+        ClashRules.PROVIDER_CATALOGUE.forEach(provider => {
+            const row = document.createElement("div");
+            row.className = "flex flex-wrap sm:flex-nowrap gap-2 items-center";
+            row.dataset.providerId = provider.id;
+
+            const toggle = document.createElement("button");
+            toggle.className = "px-3 py-1.5 rounded-md text-xs bg-slate-800/60 border border-cyan-500/30 text-gray-300 transition-all hover:bg-slate-700/70 hover:text-white whitespace-nowrap";
+            toggle.textContent = provider.name;
+            toggle.addEventListener("click", () => toggle.classList.toggle("active"));
+
+            const urlInput = document.createElement("input");
+            urlInput.type = "url";
+            urlInput.value = provider.url;
+            urlInput.className = "flex-1 min-w-0 bg-slate-800/60 border border-cyan-500/30 rounded-md px-2 py-1.5 font-mono text-xs text-gray-200 focus:outline-none focus:ring-2 focus:ring-cyan-500";
+
+            const targetSelect = document.createElement("select");
+            targetSelect.className = "bg-slate-800/60 border border-cyan-500/30 rounded-md px-2 py-1.5 text-xs text-gray-200";
+            targetSelect.add(new Option(provider.target, provider.target, false, true));
+
+            row.append(toggle, urlInput, targetSelect);
+            dom.ruleProviderList.appendChild(row);
+        });
+        updateRuleTargets();
+    }
+
+    /**
+     * Lists the groups a generated config will define, as rule-provider targets.
+     * Region groups are only known once proxies have been converted, so the names from the last conversion are used.
+     */
+    function updateRuleTargets() {
+        const targets = [
+            'PROXY',
+            dom.bestPingBtn.classList.contains("active") && 'Best Ping',
+            dom.loadBalanceBtn.classList.contains("active") && 'Load Balance',
+            dom.fallbackBtn.classList.contains("active") && 'Fallback',
+            ...(dom.regionGroupsBtn.classList.contains("active") ? lastRegionGroupNames : []),
+            'DIRECT',
+            'REJECT',
+        ].filter(Boolean);
+        dom.ruleProviderList.querySelectorAll("select").forEach(select => setSelectOptions(select, targets));
+    }
+
+    /**
+     * Replaces the options of a select, keeping its current value even when it is no longer offered
+     * so the rule validation can report it instead of the choice silently changing.
+     */
+    function setSelectOptions(select, values) {
+        const current = select.value;
+        select.innerHTML = "";
+        const options = current && !values.includes(current) ? [...values, current] : values;
+        options.forEach(value => select.add(new Option(value, value, false, value === current)));
+    }
+
+    /**
+     * Reads the catalogue providers the user switched on, with their edited URL and target.
+     * @returns {Array<object>} The selected providers.
+     */
+    function getSelectedRuleProviders() {
+        return ClashRules.PROVIDER_CATALOGUE
+            .map(provider => {
+                const row = dom.ruleProviderList.querySelector(`[data-provider-id="${provider.id}"]`);
+                if (!row || !row.querySelector("button").classList.contains("active")) return null;
+                return {
+                    ...provider,
+                    url: row.querySelector("input").value.trim(),
+                    target: row.querySelector("select").value
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function isSingboxOutput() {
+        return dom.singboxFormatBtn.classList.contains("active");
+    }
+
+    /**
+     * Generates a sing-box JSON profile, or just its outbounds for the minimal config type.
+     * Best Ping and the region groups become urltest outbounds, custom rules become route rules and rule
+     * providers become route rule sets. sing-box has no load-balance or fallback outbounds, so those toggles are refused.
+     * @param {Array<object>} parsedLinks - An array of parsed proxy objects.
+     * @returns {string} The generated sing-box JSON.
+     */
+    function generateSingboxConfig(parsedLinks) {
+        if (isProviderMode()) {
+            throw new Error("Proxy providers work with Clash configs only. Switch the output format to Clash.");
+        }
+        const isFullConfig = dom.fullConfigBtn.classList.contains("active");
+        const options = getConfigOptions();
+        if (isFullConfig && (options.groups.loadBalance || options.groups.fallback)) {
+            throw new Error("sing-box has no Load Balance or Fallback groups. Turn them off or switch the output format to Clash.");
+        }
+
+        const outbounds = [];
+        const converted = [];
+        const skipped = [];
+        parsedLinks.forEach(link => {
+            try {
+                outbounds.push(SingBox.formatOutbound(link, link.name));
+                converted.push(link);
+            } catch (error) {
+                skipped.push(`${link.name}: ${error.message}`);
+            }
+        });
+        if (outbounds.length === 0) {
+            throw new Error(`No links could be converted to sing-box. ${skipped.join('; ')}`);
+        }
+        if (skipped.length > 0) {
+            showToast(`Skipped ${skipped.length} link(s) sing-box cannot use: ${skipped.join('; ')}`, 'error', 6000);
+        }
+
+        if (!isFullConfig) {
+            return JSON.stringify({ outbounds }, null, 2);
+        }
+
+        const settings = readClashSettings();
+        const settingsErrors = ClashSettings.validate(settings);
+        if (settingsErrors.length > 0) {
+            throw new Error(`Invalid settings:\n${settingsErrors.join("\n")}`);
+        }
+
+        const regionGroups = options.groups.byRegion ? buildRegionGroups(converted) : [];
+        lastRegionGroupNames = regionGroups.map(group => group.name);
+        updateRuleTargets();
+
+        const proxyNames = converted.map(link => link.name);
+        const targets = ['PROXY', ...(options.groups.bestPing ? ['Best Ping'] : []), ...lastRegionGroupNames, ...proxyNames];
+        const ruleErrors = ClashRules.validate(options.rules.custom, options.rules.providers, targets);
+        if (ruleErrors.length > 0) {
+            throw new Error(`Invalid rules:\n${ruleErrors.join("\n")}`);
+        }
+
+        const profile = SingBox.buildProfile(outbounds, {
+            useFakeIp: settings.dns.useFakeIp,
+            urlTest: options.groups.bestPing,
+            adsBlock: options.rules.adsBlock,
+            pornBlock: options.rules.pornBlock,
+            regionGroups: regionGroups.map(group => ({ tag: group.name, outbounds: group.proxies })),
+            customRules: options.rules.custom,
+            ruleProviders: options.rules.providers.map(provider => ({
+                name: provider.name,
+                url: getSingboxRuleSetUrl(provider),
+                target: provider.target
+            })),
+            settings,
+        });
+
+        const ignored = SingBox.listIgnoredSettings(settings);
+        if (ignored.length > 0) {
+            showToast(`Not in the sing-box profile: ${ignored.join('; ')}`, 'error', 6000);
+        }
+        return JSON.stringify(profile, null, 2);
+    }
+
+    /**
+     * Picks the sing-box rule set for a provider: the catalogue's own while the Clash URL is untouched, otherwise the edited URL.
+     */
+    function getSingboxRuleSetUrl(provider) {
+        const entry = ClashRules.PROVIDER_CATALOGUE.find(item => item.id === provider.id);
+        return entry && entry.singboxUrl && entry.url === provider.url ? entry.singboxUrl : provider.url;
+    }
+
+    /**
+     * Generates the final Clash configuration YAML string.
+     * @param {Array<object>} parsedLinks - An array of parsed proxy objects.
+     * @returns {string} The generated Clash YAML configuration.
+     */
+    function generateClashConfig(parsedLinks) {
+        const isFullConfig = dom.fullConfigBtn.classList.contains("active") || isProviderMode();
+        const options = getConfigOptions();
 
         if (!isFullConfig) {
             return jsyaml.dump({ proxies: parsedLinks.map(formatProxyForClash) }, { indent: 2 });
         }
 
         // Full configuration generation
-        const fullConfig = {
-            'port': 7890,
-            'socks-port': 7891,
-            'allow-lan': true,
-            'mode': 'rule',
-            'log-level': 'info',
-            'external-controller': '127.0.0.1:9090',
-            'dns': {
-                'enable': true,
-                'listen': '0.0.0.0:53',
-                'enhanced-mode': options.useFakeIp ? 'fake-ip' : 'redir-host',
-                'nameserver': ['8.8.8.8', '1.1.1.1', 'https://dns.cloudflare.com/dns-query'],
-                'fallback': ['1.0.0.1', '8.8.4.4', 'https://dns.google/dns-query'],
-            },
-            'proxies': parsedLinks.map(formatProxyForClash),
+        const settings = readClashSettings();
+        const settingsErrors = ClashSettings.validate(settings);
+        if (settingsErrors.length > 0) {
+            throw new Error(`Invalid settings:\n${settingsErrors.join("\n")}`);
+        }
+        const provider = isProviderMode() ? readProxyProvider() : null;
+        if (provider) {
+            const providerErrors = validateProxyProvider(provider);
+            if (providerErrors.length > 0) {
+                throw new Error(`Invalid proxy provider:\n${providerErrors.join("\n")}`);
+            }
+        }
+
+        const fullConfig = {};
+        ClashSettings.apply(fullConfig, settings);
+        if (provider) {
+            fullConfig['proxy-providers'] = { [provider.name]: formatProxyProvider(provider) };
+        } else {
+            fullConfig['proxies'] = parsedLinks.map(formatProxyForClash);
+        }
+        Object.assign(fullConfig, {
             'proxy-groups': [],
             'rules': [
                 'DOMAIN-SUFFIX,local,DIRECT',
                 'IP-CIDR,127.0.0.0/8,DIRECT',
                 'IP-CIDR,192.168.0.0/16,DIRECT',
             ],
+        });
+
+        // Add proxy groups. With a provider the proxies live in the provider file, so groups "use" it instead of listing names.
+        const proxyNames = provider ? [] : parsedLinks.map(p => p.name);
+        const members = provider ? { use: [provider.name] } : { proxies: proxyNames };
+        const regionGroups = options.groups.byRegion ? buildRegionGroups(parsedLinks, provider) : [];
+        const groupNames = [
+            options.groups.bestPing && 'Best Ping',
+            options.groups.loadBalance && 'Load Balance',
+            options.groups.fallback && 'Fallback',
+        ].filter(Boolean);
+        const proxyGroup = {
+            name: 'PROXY',
+            type: 'select',
+            proxies: [...groupNames, ...regionGroups.map(group => group.name), ...proxyNames]
         };
+        if (provider) {
+            proxyGroup.use = [provider.name];
+            if (proxyGroup.proxies.length === 0) delete proxyGroup.proxies;
+        }
+        fullConfig['proxy-groups'].push(proxyGroup);
+
+        if(options.groups.bestPing) {
+            fullConfig['proxy-groups'].push({
+                name: 'Best Ping', type: 'url-test', ...members,
+                url: 'http://www.gstatic.com/generate_204', interval: 300
+            });
+        }
+        if(options.groups.loadBalance) {
+            fullConfig['proxy-groups'].push({
+                name: 'Load Balance', type: 'load-balance', ...members,
+                url: 'http://www.gstatic.com/generate_204', interval: 300
+            });
+        }
+        if(options.groups.fallback) {
+            fullConfig['proxy-groups'].push({
+                name: 'Fallback', type: 'fallback', ...members,
+                url: 'http://www.gstatic.com/generate_204', interval: 300
+            });
+        }
+
+        lastRegionGroupNames = regionGroups.map(group => group.name);
+        updateRuleTargets();
+
+        // Validate the custom rules and providers against the groups this config defines
+        const targets = ['PROXY', ...groupNames, ...regionGroups.map(group => group.name), ...proxyNames];
+        const ruleErrors = ClashRules.validate(options.rules.custom, options.rules.providers, targets);
+        if (ruleErrors.length > 0) {
+            throw new Error(`Invalid rules:\n${ruleErrors.join("\n")}`);
+        }
+        fullConfig.rules.push(...options.rules.custom.map(ClashRules.formatRule));
 
         // Add rule providers
         if (options.rules.adsBlock || options.rules.pornBlock) {
@@ -207,53 +1322,144 @@ document.addEventListener("DOMContentLoaded", () => {
                 fullConfig.rules.push('RULE-SET,🔞 Porn,REJECT');
             }
         }
-        
-        // Add proxy groups
-        const proxyNames = parsedLinks.map((p, i) => `[${i + 1}]-${p.name}`);
-        fullConfig['proxy-groups'].push({
-            name: 'PROXY',
-            type: 'select',
-            proxies: ['Best Ping', 'Load Balance', 'Fallback', ...proxyNames]
+        ClashRules.addProviders(fullConfig, options.rules.providers);
+
+        fullConfig['proxy-groups'].push(...regionGroups);
+
+        fullConfig.rules.push('MATCH,PROXY');
+
+        return jsyaml.dump(fullConfig, { indent: 2 });
+    }
+    
+    /**
+     * Builds one url-test group per country, using the proxy's list country or the one found in its name.
+     * @param {Array<object>} proxies - The proxy objects.
+     * @param {object|null} [provider=null] - The proxy provider; when given, groups pick their proxies from it with a name filter.
+     * @returns {Array<object>} The region groups, sorted by country code; proxies without a country are left out.
+     */
+    function buildRegionGroups(proxies, provider = null) {
+        const byCountry = new Map();
+        proxies.forEach(proxy => {
+            const country = getProxyCountry(proxy);
+            if (!country) return;
+            if (!byCountry.has(country)) byCountry.set(country, []);
+            byCountry.get(country).push(proxy.name);
         });
 
-        if(options.groups.bestPing) {
-            fullConfig['proxy-groups'].push({
-                name: 'Best Ping', type: 'url-test', proxies: proxyNames,
-                url: 'http://www.gstatic.com/generate_204', interval: 300
-            });
-        }
-        if(options.groups.loadBalance) {
-            fullConfig['proxy-groups'].push({
-                name: 'Load Balance', type: 'load-balance', proxies: proxyNames,
+        return [...byCountry.keys()].sort().map(country => {
+            const names = byCountry.get(country);
+            const members = provider
+                ? { use: [provider.name], filter: `^(${names.map(escapeRegExp).join('|')})$` }
+                : { proxies: names };
+            return {
+                name: regionGroupName(country),
+                type: 'url-test', ...members,
                 url: 'http://www.gstatic.com/generate_204', interval: 300
-            });
+            };
+        });
+    }
+
+    function getProxyCountry(proxy) {
+        return (proxy.country || ProxyNaming.detectCountry(proxy.name)).toUpperCase();
+    }
+
+    function regionGroupName(country) {
+        return `${ProxyNaming.countryFlag(country)} ${country} Auto`.trim();
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // --- PROXY PROVIDER ---
+
+    function isProviderMode() {
+        return dom.providerConfigBtn.classList.contains("active") && !isImportMode();
+    }
+
+    /**
+     * Reads the proxy provider panel.
+     * @returns {{name: string, type: string, url: string, fileName: string, interval: number, healthCheck: {url: string, interval: number}}} The provider settings.
+     */
+    function readProxyProvider() {
+        const name = dom.providerNameInput.value.trim();
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'provider';
+        return {
+            name,
+            type: dom.providerFileBtn.classList.contains("active") ? 'file' : 'http',
+            url: dom.providerUrlInput.value.trim(),
+            fileName: `${slug}.yaml`,
+            interval: Number(dom.providerIntervalInput.value),
+            healthCheck: {
+                url: dom.providerHealthUrlInput.value.trim(),
+                interval: Number(dom.providerHealthIntervalInput.value),
+            },
+        };
+    }
+
+    /**
+     * Checks the proxy provider settings before they are written to the config.
+     * @param {object} provider - Settings from readProxyProvider.
+     * @returns {Array<string>} One message per problem; empty when everything is valid.
+     */
+    function validateProxyProvider(provider) {
+        const errors = [];
+        if (!provider.name) errors.push('Provider name is required');
+        if (RESERVED_NAMES.includes(provider.name)) errors.push(`Provider name "${provider.name}" is reserved`);
+        if (provider.type === 'http' && !/^https?:\/\/\S+$/i.test(provider.url)) {
+            errors.push('Provider file URL must start with http:// or https://');
         }
-        if(options.groups.fallback) {
-            fullConfig['proxy-groups'].push({
-                name: 'Fallback', type: 'fallback', proxies: proxyNames,
-                url: 'http://www.gstatic.com/generate_204', interval: 300
-            });
+        if (!Number.isInteger(provider.interval) || provider.interval < 0) errors.push('Update interval must be 0 or more seconds');
+        if (!/^https?:\/\/\S+$/i.test(provider.healthCheck.url)) errors.push('Health-check URL must start with http:// or https://');
+        if (!Number.isInteger(provider.healthCheck.interval) || provider.healthCheck.interval < 0) {
+            errors.push('Health-check interval must be 0 or more seconds');
         }
+        return errors;
+    }
 
-        fullConfig.rules.push('MATCH,PROXY');
+    /**
+     * Formats the `proxy-providers` entry for the provider.
+     * @param {object} provider - Settings from readProxyProvider.
+     * @returns {object} The Clash proxy-provider entry.
+     */
+    function formatProxyProvider(provider) {
+        const entry = { type: provider.type };
+        if (provider.type === 'http') {
+            entry.url = provider.url;
+            entry.interval = provider.interval;
+        }
+        entry.path = `./proxy_providers/${provider.fileName}`;
+        entry['health-check'] = {
+            enable: provider.healthCheck.interval > 0,
+            url: provider.healthCheck.url,
+            interval: provider.healthCheck.interval,
+        };
+        return entry;
+    }
 
-        return jsyaml.dump(fullConfig, { indent: 2 });
+    /**
+     * Generates the provider file the main config points at.
+     * @param {Array<object>} parsedLinks - An array of parsed proxy objects.
+     * @returns {string} The provider YAML with a `proxies:` list.
+     */
+    function generateProviderFile(parsedLinks) {
+        dom.providerOutputName.textContent = readProxyProvider().fileName;
+        return jsyaml.dump({ proxies: parsedLinks.map(formatProxyForClash) }, { indent: 2 });
     }
-    
+
     /**
      * Formats a parsed V2Ray link object into a Clash proxy object.
      * @param {object} link - The parsed link object.
-     * @param {number} index - The index of the link.
      * @returns {object} A Clash-compatible proxy object.
      */
-    function formatProxyForClash(link, index) {
+    function formatProxyForClash(link) {
         const clashProxy = {
-            name: `[${index + 1}]-${link.name}`,
+            name: link.name,
             type: link.type,
             server: link.server,
             port: link.port,
             tls: link.tls,
-            'skip-cert-verify': link.skipCertVerify || true,
+            'skip-cert-verify': Boolean(link.skipCertVerify),
             udp: true,
         };
 
@@ -263,108 +1469,210 @@ document.addEventListener("DOMContentLoaded", () => {
                 alterId: link.alterId || 0,
                 cipher: link.cipher || 'auto',
                 servername: link.sni,
-                network: 'ws',
-                'ws-opts': { path: link.wsPath || '/', headers: { Host: link.wsHost || link.sni } }
+                ...formatTransportForClash(link)
             });
         } else if (link.type === 'vless') {
             Object.assign(clashProxy, {
                 uuid: link.uuid,
                 servername: link.sni,
-                network: 'ws',
-                'ws-opts': { path: link.wsPath || '/', headers: { Host: link.wsHost || link.sni } }
+                ...formatTransportForClash(link)
             });
+            if (link.flow) clashProxy.flow = link.flow;
+            if (link.reality) {
+                clashProxy['reality-opts'] = { 'public-key': link.publicKey };
+                if (link.shortId) clashProxy['reality-opts']['short-id'] = link.shortId;
+                clashProxy['client-fingerprint'] = link.fingerprint || 'chrome'; // REALITY requires uTLS
+            } else if (link.fingerprint) {
+                clashProxy['client-fingerprint'] = link.fingerprint;
+            }
         } else if (link.type === 'trojan') {
             Object.assign(clashProxy, {
                 password: link.password,
                 sni: link.sni,
-                network: 'ws',
-                'ws-opts': { path: link.wsPath || '/', headers: { Host: link.wsHost || link.sni } }
+                ...formatTransportForClash(link)
             });
         } else if (link.type === 'ss') {
             Object.assign(clashProxy, {
                 cipher: link.cipher,
+                password: link.password
+            });
+            if (link.network === 'ws') {
+                Object.assign(clashProxy, {
+                    plugin: 'v2ray-plugin',
+                    'plugin-opts': {
+                        mode: 'websocket',
+                        tls: link.tls,
+                        'skip-cert-verify': Boolean(link.skipCertVerify),
+                        host: link.wsHost || link.sni,
+                        path: link.wsPath || '/'
+                    }
+                });
+            }
+        } else if (link.type === 'hysteria2') {
+            delete clashProxy.tls;
+            Object.assign(clashProxy, {
                 password: link.password,
-                plugin: 'v2ray-plugin',
-                'plugin-opts': {
-                    mode: 'websocket',
-                    tls: link.tls,
-                    'skip-cert-verify': true,
-                    host: link.wsHost || link.sni,
-                    path: link.wsPath || '/'
-                }
+                sni: link.sni,
+            });
+            if (link.obfs) {
+                clashProxy.obfs = link.obfs;
+                clashProxy['obfs-password'] = link.obfsPassword;
+            }
+            if (link.ports) clashProxy.ports = link.ports;
+            if (link.up) clashProxy.up = link.up;
+            if (link.down) clashProxy.down = link.down;
+            if (link.alpn.length) clashProxy.alpn = link.alpn;
+        } else if (link.type === 'tuic') {
+            delete clashProxy.tls;
+            Object.assign(clashProxy, {
+                uuid: link.uuid,
+                password: link.password,
+                sni: link.sni,
+                alpn: link.alpn.length ? link.alpn : ['h3'],
+                'congestion-controller': link.congestionControl,
+                'udp-relay-mode': link.udpRelayMode,
             });
         }
         return clashProxy;
     }
 
-    // --- PARSING LOGIC ---
+    /**
+     * Builds the Clash.Meta transport fields (network plus its *-opts block) for a parsed link.
+     * @param {object} link - The parsed link object.
+     * @returns {object} The transport fields to merge into the Clash proxy.
+     * @throws {Error} If the transport has no Clash.Meta form.
+     */
+    function formatTransportForClash(link) {
+        const host = link.wsHost || link.sni;
+        const path = link.wsPath || '/';
 
-    function parseV2rayLink(link) {
-        if (link.startsWith("vmess://")) return parseVmessLink(link);
-        if (link.startsWith("vless://")) return parseVlessLink(link);
-        if (link.startsWith("trojan://")) return parseTrojanLink(link);
-        if (link.startsWith("ss://")) return parseShadowsocksLink(link);
-        throw new Error(`Unsupported protocol in link: ${link.substring(0, 30)}...`);
+        switch (link.network || 'tcp') {
+            case 'ws':
+                return { network: 'ws', 'ws-opts': { path, headers: { Host: host } } };
+            case 'httpupgrade':
+                return { network: 'ws', 'ws-opts': { path, headers: { Host: host }, 'v2ray-http-upgrade': true } };
+            case 'grpc':
+                return { network: 'grpc', 'grpc-opts': { 'grpc-service-name': link.serviceName || '' } };
+            case 'h2':
+                return { network: 'h2', 'h2-opts': { host: [host], path } };
+            case 'xhttp': {
+                const xhttpOpts = { path, host };
+                if (link.mode) xhttpOpts.mode = link.mode;
+                return { network: 'xhttp', 'xhttp-opts': xhttpOpts };
+            }
+            case 'tcp': // Optionally with an HTTP header disguise
+                if (link.headerType === 'http') {
+                    return {
+                        network: 'http',
+                        'http-opts': { method: 'GET', path: [path], headers: { Host: [host] } }
+                    };
+                }
+                return { network: 'tcp' };
+            default:
+                throw new Error(`Unsupported transport: ${link.network}`);
+        }
     }
 
-    function parseVmessLink(link) {
-        const decoded = JSON.parse(atob(link.substring(8)));
-        return {
-            type: "vmess", name: decoded.ps || "VMess", server: decoded.add,
-            port: parseInt(decoded.port, 10), uuid: decoded.id,
-            alterId: parseInt(decoded.aid || "0", 10), cipher: decoded.scy || "auto",
-            tls: decoded.tls === "tls", network: decoded.net || "tcp",
-            wsPath: decoded.path || "/", wsHost: decoded.host || "",
-            sni: decoded.sni || decoded.host || decoded.add,
-        };
-    }
+    // --- PRESETS ---
 
-    function parseVlessLink(link) {
-        const url = new URL(link);
-        return {
-            type: "vless", name: decodeURIComponent(url.hash).substring(1) || "VLESS",
-            server: url.hostname, port: parseInt(url.port, 10), uuid: url.username,
-            tls: url.searchParams.get("security") === "tls", network: url.searchParams.get("type") || "tcp",
-            wsPath: url.searchParams.get("path") || "/", wsHost: url.searchParams.get("host") || "",
-            sni: url.searchParams.get("sni") || url.searchParams.get("host") || url.hostname,
-        };
+    function getPresetFields() {
+        return Object.entries(dom).filter(([key, element]) =>
+            element && ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName) &&
+            element.type !== "file" && !PRESET_SKIPPED_FIELDS.includes(key));
     }
 
-    function parseTrojanLink(link) {
-        const url = new URL(link);
-        return {
-            type: "trojan", name: decodeURIComponent(url.hash).substring(1) || "Trojan",
-            server: url.hostname, port: parseInt(url.port, 10), password: url.username,
-            tls: url.searchParams.get("security") === "tls" || true, network: url.searchParams.get("type") || "tcp",
-            wsPath: url.searchParams.get("path") || "/", wsHost: url.searchParams.get("host") || "",
-            sni: url.searchParams.get("sni") || url.searchParams.get("host") || url.hostname,
-        };
+    /**
+     * Captures the toggle states, settings fields and rule-provider rows for a preset.
+     * @returns {{toggles: object, fields: object, ruleProviders: object}} The form state.
+     */
+    function readPreset() {
+        const toggles = {};
+        PRESET_TOGGLES.forEach(key => { toggles[key] = dom[key].classList.contains("active"); });
+        const fields = {};
+        getPresetFields().forEach(([key, element]) => {
+            fields[key] = element.type === "checkbox" ? element.checked : element.value;
+        });
+        const ruleProviders = {};
+        dom.ruleProviderList.querySelectorAll("[data-provider-id]").forEach(row => {
+            ruleProviders[row.dataset.providerId] = {
+                active: row.querySelector("button").classList.contains("active"),
+                url: row.querySelector("input").value,
+                target: row.querySelector("select").value
+            };
+        });
+        return { toggles, fields, ruleProviders };
     }
 
-    function parseShadowsocksLink(link) {
-        const url = new URL(link);
-        const userInfo = atob(url.username);
-        const [cipher, password] = userInfo.split(":");
-        return {
-            type: "ss", name: decodeURIComponent(url.hash).substring(1) || "Shadowsocks",
-            server: url.hostname, port: parseInt(url.port, 10),
-            cipher, password,
-            tls: url.searchParams.get("plugin")?.includes("tls"),
-            network: url.searchParams.get("plugin")?.includes("websocket") ? 'ws' : 'tcp',
-            wsPath: url.searchParams.get("path") || "/",
-            wsHost: url.searchParams.get("host") || "",
-            sni: url.searchParams.get("sni") || url.searchParams.get("host") || url.hostname,
-        };
-    }
+    /**
+     * Restores a preset and refreshes the sections that depend on the toggles.
+     * Keys the current page no longer has are ignored, so older preset files still load.
+     * @param {object} preset - A state from readPreset.
+     */
+    function applyPreset(preset) {
+        Object.entries(preset.toggles || {}).forEach(([key, active]) => {
+            if (PRESET_TOGGLES.includes(key)) dom[key].classList.toggle("active", Boolean(active));
+        });
+        const fields = preset.fields || {};
+        getPresetFields().forEach(([key, element]) => {
+            if (!(key in fields)) return;
+            if (element.type === "checkbox") {
+                element.checked = Boolean(fields[key]);
+            } else {
+                element.value = fields[key];
+            }
+        });
+        Object.entries(preset.ruleProviders || {}).forEach(([id, provider]) => {
+            const row = dom.ruleProviderList.querySelector(`[data-provider-id="${id}"]`);
+            if (!row) return;
+            row.querySelector("button").classList.toggle("active", Boolean(provider.active));
+            row.querySelector("input").value = provider.url;
+            const select = row.querySelector("select");
+            if (![...select.options].some(option => option.value === provider.target)) {
+                select.add(new Option(provider.target, provider.target));
+            }
+            select.value = provider.target;
+        });
+        updateRuleTargets();
 
+        handleInputModeChange();
+        handleProviderTypeChange();
+        toggleVisibility(dom.customServerInputContainer, dom.customServerToggleBtn.classList.contains("active"));
+    }
 
     // --- UI HELPER FUNCTIONS ---
 
     function handleConfigTypeChange() {
-        const isFull = dom.fullConfigBtn.classList.contains("active");
+        const isProvider = isProviderMode();
+        const isFull = (dom.fullConfigBtn.classList.contains("active") && !isImportMode()) || isProvider;
+        const isMerge = isMergeMode();
         toggleVisibility(dom.clashOptionsSection, isFull);
-        toggleVisibility(dom.saveProxyProviderBtn, !isFull);
-        toggleVisibility(dom.saveFullConfigBtn, isFull);
+        dom.mergeOptionsSection.classList.toggle("hidden", !isMerge);
+        dom.providerOptionsSection.classList.toggle("hidden", !isProvider);
+        dom.providerOutputContainer.classList.toggle("hidden", !isProvider);
+        toggleVisibility(dom.saveProxyProviderBtn, !isFull && !isMerge);
+        toggleVisibility(dom.saveFullConfigBtn, isFull || isMerge);
+        if (!isMerge) cancelPendingMerge();
+        if (!isProvider) dom.providerOutput.value = "";
+    }
+
+    function handleProviderTypeChange() {
+        dom.providerUrlContainer.classList.toggle("hidden", dom.providerFileBtn.classList.contains("active"));
+    }
+
+    function handleInputModeChange() {
+        const importMode = isImportMode();
+        dom.v2rayInputLabel.textContent = importMode
+            ? "Clash YAML (proxies:) or sing-box JSON (outbounds)"
+            : "V2Ray Links (vmess://, vless://, trojan://, ss://, hysteria2://, tuic://)";
+        dom.v2rayInput.placeholder = importMode
+            ? "Paste a Clash config / proxies list or a sing-box profile / outbounds here..."
+            : "Paste your V2Ray links here, one per line...";
+        toggleVisibility(dom.outputOptionsSection, !importMode);
+        dom.subscriptionInputContainer.classList.toggle("hidden", importMode);
+        dom.configOutput.value = "";
+        hideError();
+        hideDiagnostics();
+        handleConfigTypeChange();
     }
 
     function downloadConfig(type) {
@@ -374,8 +1682,39 @@ document.addEventListener("DOMContentLoaded", () => {
             return;
         }
         const timestamp = new Date().toISOString().replace(/[:.]/g, "-").substring(0, 19);
-        const filename = `${type}_${timestamp}.yaml`;
-        const blob = new Blob([content], { type: "text/yaml" });
+        let extension = 'yaml';
+        let mimeType = "text/yaml";
+        if (isImportMode()) {
+            extension = 'txt';
+            mimeType = "text/plain";
+        } else if (isSingboxOutput()) {
+            extension = 'json';
+            mimeType = "application/json";
+        }
+        const filename = `${isImportMode() ? 'links' : type}_${timestamp}.${extension}`;
+        saveFile(content, filename, mimeType);
+        showToast(isProviderMode() && dom.providerOutput.value
+            ? `File "${filename}" downloaded. Save the provider file with its own button as well.`
+            : `File "${filename}" downloaded successfully!`);
+    }
+
+    /**
+     * Downloads the provider file of a proxy-provider config. It has its own button because browsers
+     * block or ask about a second download started by the same click.
+     */
+    function downloadProviderFile() {
+        if (!dom.providerOutput.value) {
+            showError("No provider file to download. Please convert first.");
+            return;
+        }
+        // The provider file keeps the name the config's `path` points at
+        const filename = readProxyProvider().fileName;
+        saveFile(dom.providerOutput.value, filename, "text/yaml");
+        showToast(`File "${filename}" downloaded successfully!`);
+    }
+
+    function saveFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement("a");
         a.href = url;
@@ -384,14 +1723,13 @@ document.addEventListener("DOMContentLoaded", () => {
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        showToast(`File "${filename}" downloaded successfully!`);
     }
 
     function setupToggle(button, others = [], callback) {
         if (!button) return;
         button.addEventListener("click", () => {
             // Special handling for non-exclusive toggles
-            if (button.id === 'best-ping' || button.id === 'load-balance' || button.id === 'fallback' || button.id === 'ads-block' || button.id === 'porn-block' || button.id === 'custom-server-toggle') {
+            if (button.id === 'best-ping' || button.id === 'load-balance' || button.id === 'fallback' || button.id === 'region-groups' || button.id === 'ads-block' || button.id === 'porn-block' || button.id === 'custom-server-toggle') {
                  button.classList.toggle("active");
             } else { // Exclusive toggles
                 button.classList.add("active");
@@ -407,6 +1745,27 @@ document.addEventListener("DOMContentLoaded", () => {
         element.style.display = shouldShow ? 'block' : 'none';
     }
 
+    /**
+     * Lists the entries that were skipped during conversion, or hides the panel when there are none.
+     * @param {Array<{label: string, reason: string}>} rejected - The skipped entries.
+     * @param {number} total - The number of entries processed.
+     */
+    function showDiagnostics(rejected, total) {
+        dom.diagnosticsList.innerHTML = "";
+        if (rejected.length === 0) {
+            hideDiagnostics();
+            return;
+        }
+        dom.diagnosticsSummary.textContent = `Skipped ${rejected.length} of ${total} entries:`;
+        rejected.forEach(({ label, reason }) => {
+            const item = document.createElement("li");
+            item.textContent = `${label}: ${reason}`;
+            dom.diagnosticsList.appendChild(item);
+        });
+        dom.diagnosticsPanel.classList.remove("hidden");
+    }
+
+    function hideDiagnostics() { dom.diagnosticsPanel.classList.add("hidden"); }
     function showLoading() { dom.loadingIndicator.classList.remove("hidden"); }
     function hideLoading() { dom.loadingIndicator.classList.add("hidden"); }
     function showError(message) {
@@ -14,8 +14,7 @@ const CONFIG = {
     SERVER_DOMAINS: [window.location.hostname],
     DEFAULT_UUID: 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff',
     ITEMS_PER_PAGE: 10,
-    PATH_TEMPLATE: '/{ip}-{port}',
-    STATUS_CHECK_URL: 'https://api.jb8fd7grgd.workers.dev/'
+    PATH_TEMPLATE: '/{ip}-{port}'
 };
 
 // --- STATE --- //
@@ -24,6 +23,7 @@ let proxyList = [];
 let filteredProxyList = [];
 let selectedProxy = null;
 let currentPage = 1;
+const checker = ProxyChecker.createClient(); // Uses the checker backends configured on the subscription page
 
 // --- DOM ELEMENTS --- //
 
@@ -54,6 +54,7 @@ document.addEventListener('DOMContentLoaded', () => {
  */
 function setupEventListeners() {
     document.getElementById('refresh-btn').addEventListener('click', () => loadProxyList(CONFIG.DEFAULT_PROXY_URL));
+    document.getElementById('recheck-btn').addEventListener('click', () => renderProxyList(true));
     document.getElementById('custom-url-btn').addEventListener('click', () => dom.customUrlInputContainer.classList.toggle('hidden'));
     document.getElementById('load-custom-url').addEventListener('click', () => {
         const url = dom.proxyUrlInput.value.trim();
@@ -63,6 +64,7 @@ function setupEventListeners() {
     // Navigation buttons for proxy details section
     document.getElementById('back-to-list-from-details').addEventListener('click', showProxyListSection);
     document.getElementById('back-to-list-from-details-bottom').addEventListener('click', showProxyListSection);
+    document.getElementById('recheck-proxy-btn').addEventListener('click', () => checkProxyStatusInForm(selectedProxy, true));
 
     // Search
     dom.searchInput.addEventListener('input', handleSearch);
@@ -105,31 +107,16 @@ async function loadProxyList(url) {
     dom.proxyListContainer.innerHTML = '';
     dom.noProxiesMessage.classList.add('hidden');
 
-    const corsProxies = [
-        (url) => fetch(url),
-        (url) => fetch(`https://api.allorigins.win/get?url=${encodeURIComponent(url)}`).then(res => res.json()).then(data => {
-            if (!data.contents) throw new Error('CORS proxy failed to get contents');
-            return { ok: true, text: () => Promise.resolve(data.contents) };
-        }),
-    ];
-
-    for (const proxyFetch of corsProxies) {
-        try {
-            const response = await proxyFetch(url);
-            if (!response.ok) throw new Error('Response not OK');
-            const text = await response.text();
-            processProxyData(text);
-            dom.loadingIndicator.classList.add('hidden');
-            return;
-        } catch (error) {
-            console.error('Fetch attempt failed:', error);
-        }
+    try {
+        const { text } = await fetchWithCorsFallback(url);
+        processProxyData(text);
+    } catch (error) {
+        console.error(error);
+        dom.noProxiesMessage.classList.remove('hidden');
+        displayFallbackProxyList();
+    } finally {
+        dom.loadingIndicator.classList.add('hidden');
     }
-
-    console.error('All fetch attempts failed.');
-    dom.loadingIndicator.classList.add('hidden');
-    dom.noProxiesMessage.classList.remove('hidden');
-    displayFallbackProxyList();
 }
 
 
@@ -171,8 +158,9 @@ function processProxyData(text) {
 
 /**
  * Renders the current page of the proxy list.
+ * @param {boolean} [force=false] - Whether to check the proxies again instead of using cached results.
  */
-function renderProxyList() {
+function renderProxyList(force = false) {
     dom.proxyListContainer.innerHTML = '';
 
     if (filteredProxyList.length === 0) {
@@ -193,7 +181,7 @@ function renderProxyList() {
         const actualIndex = startIndex + index;
         const card = createProxyCard(proxy, actualIndex);
         dom.proxyListContainer.appendChild(card);
-        checkProxyStatusInList(proxy, card.querySelector('.status-badge'));
+        checkProxyStatusInList(proxy, card.querySelector('.status-badge'), force);
     });
 
     renderPagination(totalPages);
@@ -235,23 +223,20 @@ function createProxyCard(proxy, index) {
  * Checks the status of a proxy and updates its badge in the list.
  * @param {object} proxy - The proxy object.
  * @param {HTMLElement} statusBadge - The badge element to update.
+ * @param {boolean} [force=false] - Whether to skip the cached result.
  */
-async function checkProxyStatusInList(proxy, statusBadge) {
-    try {
-        const response = await fetch(`${CONFIG.STATUS_CHECK_URL}${proxy.ip}:${proxy.port}`);
-        const data = await response.json();
-        const proxyData = Array.isArray(data) ? data[0] : data;
-        if (proxyData && proxyData.proxyip === true) {
-            statusBadge.className = 'status-badge inline-block w-3 h-3 rounded-full bg-emerald-500 ml-2';
-            statusBadge.title = 'Active';
-        } else {
-            statusBadge.className = 'status-badge inline-block w-3 h-3 rounded-full bg-rose-500 ml-2';
-            statusBadge.title = 'Dead';
-        }
-    } catch (error) {
+async function checkProxyStatusInList(proxy, statusBadge, force = false) {
+    const { alive, latency, checkedAt } = await checker.check(proxy, undefined, { force });
+    const checked = `checked ${ProxyChecker.formatAge(checkedAt)}`;
+    if (alive === true) {
+        statusBadge.className = 'status-badge inline-block w-3 h-3 rounded-full bg-emerald-500 ml-2';
+        statusBadge.title = `Active (${latency}ms), ${checked}`;
+    } else if (alive === false) {
+        statusBadge.className = 'status-badge inline-block w-3 h-3 rounded-full bg-rose-500 ml-2';
+        statusBadge.title = `Dead, ${checked}`;
+    } else {
         statusBadge.className = 'status-badge inline-block w-3 h-3 rounded-full bg-amber-500 ml-2';
-        statusBadge.title = 'Unknown';
-        console.error('Fetch error:', error);
+        statusBadge.title = `Unknown, ${checked}`;
     }
 }
 
@@ -338,7 +323,7 @@ async function showProxyDetails(index) {
     const protocols = ['vless', 'trojan', 'vmess', 'ss'];
     const serverDomain = CONFIG.SERVER_DOMAINS[0]; // Use default server domain for config generation
     const path = CONFIG.PATH_TEMPLATE.replace('{ip}', ip).replace('{port}', port);
-    const name = encodeURIComponent(`${country} - ${provider}`);
+    const name = `${country} - ${provider}`;
 
     protocols.forEach(protocolType => {
         // For simplicity, using default UUID/password and TLS for generated links
@@ -408,20 +393,21 @@ function generateConnectionUrl(formType, data) {
     let host = useWildcard && customBug ? `${customBug}.${selectedDomain}` : (customBug || selectedDomain);
     let sni = useWildcard && customBug ? `${customBug}.${selectedDomain}` : (customBug || selectedDomain);
 
+    const proxy = {
+        type: formType, name, server, port,
+        tls: security === 'tls', sni, skipCertVerify: false,
+        network: 'ws', wsPath: path, wsHost: host
+    };
+
     switch (formType) {
         case 'vmess':
-            const vmessConfig = {
-                v: '2', ps: name, add: server, port, id: uuid, aid: '0',
-                net: 'ws', type: 'none', host, path, tls: security, sni, scy: 'zero'
-            };
-            return 'vmess://' + btoa(JSON.stringify(vmessConfig));
+            return LinkCodec.serialize({ ...proxy, uuid, alterId: 0, cipher: 'zero' });
         case 'vless':
-            return `vless://${uuid}@${server}:${port}?encryption=none&security=${security}&type=ws&host=${host}&path=${encodeURIComponent(path)}&sni=${sni}#${name}`;
+            return LinkCodec.serialize({ ...proxy, uuid });
         case 'trojan':
-            return `trojan://${password}@${server}:${port}?security=${security}&type=ws&host=${host}&path=${encodeURIComponent(path)}&sni=${sni}#${name}`;
+            return LinkCodec.serialize({ ...proxy, password });
         case 'ss':
-            const userInfo = btoa(`none:${password}`);
-            return `ss://${userInfo}@${server}:${port}?encryption=none&type=ws&host=${host}&path=${encodeURIComponent(path)}&security=${security}&sni=${sni}#${name}`;
+            return LinkCodec.serialize({ ...proxy, cipher: 'none', password });
         default:
             return null;
     }
@@ -430,10 +416,12 @@ function generateConnectionUrl(formType, data) {
 /**
  * Checks the status of the selected proxy and updates the UI in the form.
  * @param {object} proxy - The proxy to check.
+ * @param {boolean} [force=false] - Whether to skip the cached result.
  */
-async function checkProxyStatusInForm(proxy) {
+async function checkProxyStatusInForm(proxy, force = false) {
     const statusContainer = document.getElementById('proxy-status-container');
     const latencyEl = document.getElementById('proxy-latency');
+    const checkedAtEl = document.getElementById('proxy-checked-at');
     const elements = {
         loading: document.getElementById('proxy-status-loading'),
         active: document.getElementById('proxy-status-active'),
@@ -449,23 +437,15 @@ async function checkProxyStatusInForm(proxy) {
 
     setStatus('loading');
     latencyEl.textContent = ''; // Clear previous latency
-    const startTime = performance.now();
-
-    try {
-        const response = await fetch(`${CONFIG.STATUS_CHECK_URL}${proxy.ip}:${proxy.port}`);
-        const data = await response.json();
-        const endTime = performance.now();
-        const latency = Math.floor(endTime - startTime);
-        const proxyData = Array.isArray(data) ? data[0] : data;
-
-        if (proxyData && proxyData.proxyip === true) {
-            setStatus('active');
-            latencyEl.textContent = `${latency}ms`;
-        } else {
-            setStatus('dead');
-        }
-    } catch (error) {
-        setStatus('unknown');
-        console.error('Fetch error:', error);
+    checkedAtEl.textContent = '';
+
+    const { alive, latency, checkedAt, cached } = await checker.check(proxy, undefined, { force });
+    if (proxy !== selectedProxy) return; // Another proxy was opened while this one was checked
+    checkedAtEl.textContent = cached ? `Checked ${ProxyChecker.formatAge(checkedAt)} (cached)` : 'Checked just now';
+    if (alive === true) {
+        setStatus('active');
+        latencyEl.textContent = `${Math.floor(latency)}ms`;
+    } else {
+        setStatus(alive === false ? 'dead' : 'unknown');
     }
 }
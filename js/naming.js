@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Shared proxy naming used by the converter and subscription pages.
+ * Expands a user-defined template such as "{flag} {country} {provider} [{protocol}-{tls}]"
+ * and then applies regex find/replace rules to the result.
+ *
+ * Placeholders: {index}, {flag}, {country}, {provider}, {protocol}, {tls}, {server}, {original}, and
+ * {latency} where the page measured one.
+ */
+
+const ProxyNaming = (() => {
+    const PLACEHOLDER_PATTERN = /\{(index|flag|country|provider|protocol|tls|server|original|latency)\}/g;
+    const REGIONAL_INDICATOR_A = 0x1F1E6;
+    // ISO 3166-1 alpha-2 codes
+    const COUNTRY_CODES = new Set(`
+        AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ
+        CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR
+        GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP
+        KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT
+        MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW
+        SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG
+        UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW
+    `.trim().split(/\s+/));
+    // Tags proxy names use for transports and CDNs that happen to be country codes too (Samoa, Central Africa, South Sudan)
+    const PROXY_TAGS = ['WS', 'CF', 'SS'];
+
+    /**
+     * Converts a two-letter country code into its emoji flag.
+     * @param {string} code - The ISO 3166-1 alpha-2 country code.
+     * @returns {string} The flag, or an empty string for anything that is not a country code.
+     */
+    function countryFlag(code) {
+        const upper = String(code || '').trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(upper)) return '';
+        return String.fromCodePoint(...[...upper].map(char => REGIONAL_INDICATOR_A + char.charCodeAt(0) - 65));
+    }
+
+    /**
+     * Finds the country a proxy name refers to, from an emoji flag, a "(CC)" tag or a leading "CC-" / "CC " prefix.
+     * @param {string} name - The proxy name.
+     * @returns {string} The upper-case country code, or an empty string if none is found.
+     */
+    function detectCountry(name) {
+        const text = String(name || '');
+        const flag = text.match(/[\u{1F1E6}-\u{1F1FF}]{2}/u);
+        if (flag) {
+            return [...flag[0]].map(char => String.fromCharCode(char.codePointAt(0) - REGIONAL_INDICATOR_A + 65)).join('');
+        }
+        const tag = [...text.matchAll(/\(([A-Za-z]{2})\)/g), ...text.matchAll(/^([A-Z]{2})(?=[\s_|-])/g)]
+            .find(match => isCountryTag(match[1]));
+        return tag ? tag[1].toUpperCase() : '';
+    }
+
+    /**
+     * Tells whether a two-letter tag in a name is a country code rather than a tag such as "(ws)".
+     * @param {string} tag - The two letters.
+     * @returns {boolean} True for ISO 3166-1 alpha-2 codes that are not common proxy tags.
+     */
+    function isCountryTag(tag) {
+        const upper = tag.toUpperCase();
+        return COUNTRY_CODES.has(upper) && !PROXY_TAGS.includes(upper);
+    }
+
+    /**
+     * Removes the flag and country tag from a name, leaving the provider part.
+     * @param {string} name - The proxy name.
+     * @returns {string} The name without country markers.
+     */
+    function stripCountry(name) {
+        return String(name || '')
+            .replace(/[\u{1F1E6}-\u{1F1FF}]{2}/gu, '')
+            .replace(/\(([A-Za-z]{2})\)/g, (match, tag) => (isCountryTag(tag) ? '' : match))
+            .replace(/^([A-Z]{2})(?=[\s_|-])/, (match, tag) => (isCountryTag(tag) ? '' : match))
+            .replace(/^[\s_|-]+/, '')
+            .trim();
+    }
+
+    /**
+     * Parses rename rules, one per line, written as "find => replace".
+     * The find part is a regex, optionally wrapped as /pattern/flags; lines starting with # are ignored.
+     * @param {string} text - The raw rules text.
+     * @returns {Array<{pattern: RegExp, replacement: string}>} The compiled rules.
+     * @throws {Error} If a line is malformed or its regex is invalid.
+     */
+    function parseRules(text) {
+        return String(text || '').split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+            .filter(({ line }) => line && !line.startsWith('#'))
+            .map(({ line, number }) => {
+                const separator = line.indexOf('=>');
+                if (separator === -1) {
+                    throw new Error(`Rename rule on line ${number} needs "find => replace".`);
+                }
+                const find = line.substring(0, separator).trim();
+                const replacement = line.substring(separator + 2).trim();
+                if (!find) {
+                    throw new Error(`Rename rule on line ${number} needs a pattern to find.`);
+                }
+                const literal = find.match(/^\/(.+)\/([a-z]*)$/);
+                try {
+                    const pattern = literal
+                        ? new RegExp(literal[1], literal[2].includes('g') ? literal[2] : `${literal[2]}g`)
+                        : new RegExp(find, 'g');
+                    return { pattern, replacement };
+                } catch (error) {
+                    throw new Error(`Rename rule on line ${number} has an invalid regex: ${error.message}`);
+                }
+            });
+    }
+
+    /**
+     * Builds a proxy name from a template and rename rules.
+     * @param {string} template - The naming template.
+     * @param {object} values - The placeholder values (index, country, provider, protocol, tls, server, original, latency).
+     * @param {Array<{pattern: RegExp, replacement: string}>} [rules=[]] - Rename rules from parseRules.
+     * @returns {string} The final name.
+     */
+    function format(template, values, rules = []) {
+        const country = String(values.country || '').toUpperCase();
+        const filled = { ...values, country, flag: values.flag || countryFlag(country) };
+        let name = String(template)
+            .replace(PLACEHOLDER_PATTERN, (match, key) => (filled[key] === undefined ? '' : String(filled[key])))
+            .replace(/\(\s*\)|\[\s*\]/g, '');
+        rules.forEach(({ pattern, replacement }) => {
+            name = name.replace(pattern, replacement);
+        });
+        name = name.replace(/\s+/g, ' ').trim();
+        return name || String(values.original || values.server || '');
+    }
+
+    /**
+     * Makes names unique by adding " (2)", " (3)" and so on to repeats, since clients reject duplicate names.
+     * @param {Array<string>} names - The names, in order; the first of each repeat keeps its name.
+     * @param {Array<string>} [reserved=[]] - Names already taken, such as group names.
+     * @returns {Array<string>} The unique names, in the same order.
+     */
+    function uniqueNames(names, reserved = []) {
+        const used = new Set(reserved);
+        return names.map(base => {
+            let name = base;
+            for (let counter = 2; used.has(name); counter++) {
+                name = `${base} (${counter})`;
+            }
+            used.add(name);
+            return name;
+        });
+    }
+
+    return { countryFlag, detectCountry, stripCountry, parseRules, format, uniqueNames };
+})();
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Named form presets for the generator and converter pages.
+ * Presets live in localStorage under a per-page key and can be exported to, or imported from,
+ * a JSON file so a team can share one set. Each page supplies how to read and apply its form.
+ */
+
+const FormPresets = (() => {
+    const FILE_VERSION = 1;
+
+    /**
+     * Creates a preset store backed by localStorage.
+     * @param {string} storageKey - The localStorage key, also used to recognise exported files.
+     * @returns {{list: Function, get: Function, save: Function, remove: Function, exportJson: Function, importJson: Function}} The store.
+     *   save, remove and importJson throw when localStorage refuses the write.
+     */
+    function createStore(storageKey) {
+        function readAll() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(storageKey) || '{}');
+                return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+            } catch (error) {
+                console.warn(`Ignoring unreadable presets in ${storageKey}:`, error);
+                return {};
+            }
+        }
+
+        function writeAll(presets) {
+            try {
+                localStorage.setItem(storageKey, JSON.stringify(presets));
+            } catch (error) {
+                // Quota exceeded, or storage blocked in private browsing
+                throw new Error(`Could not save presets: ${error.message}`);
+            }
+        }
+
+        return {
+            list: () => Object.keys(readAll()).sort((a, b) => a.localeCompare(b)),
+            get: name => readAll()[name] || null,
+            save(name, state) {
+                const presets = readAll();
+                presets[name] = state;
+                writeAll(presets);
+            },
+            remove(name) {
+                const presets = readAll();
+                delete presets[name];
+                writeAll(presets);
+            },
+            exportJson: () => JSON.stringify({ type: storageKey, version: FILE_VERSION, presets: readAll() }, null, 2),
+            /**
+             * Merges presets from an exported file; presets with the same name are replaced.
+             * @param {string} text - The file contents.
+             * @returns {number} The number of presets imported.
+             * @throws {Error} If the file is not a preset export for this page.
+             */
+            importJson(text) {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    throw new Error('Preset file is not valid JSON.');
+                }
+                if (!data || data.type !== storageKey || typeof data.presets !== 'object' || Array.isArray(data.presets)) {
+                    throw new Error('This file does not contain presets for this page.');
+                }
+                const presets = { ...readAll(), ...data.presets };
+                writeAll(presets);
+                return Object.keys(data.presets).length;
+            }
+        };
+    }
+
+    /**
+     * Wires a preset bar to a page's form.
+     * @param {object} options - The bar's elements and the page's form hooks.
+     * @param {string} options.storageKey - The localStorage key for this page.
+     * @param {HTMLSelectElement} options.select - Lists the presets; picking one applies it.
+     * @param {HTMLInputElement} options.nameInput - The name to save the current form under.
+     * @param {HTMLElement} options.saveButton - Saves the current form.
+     * @param {HTMLElement} options.deleteButton - Deletes the selected preset.
+     * @param {HTMLElement} options.exportButton - Downloads all presets as JSON.
+     * @param {HTMLInputElement} options.importInput - A file input for preset JSON files.
+     * @param {function(): object} options.read - Returns the form state as a JSON-safe object.
+     * @param {function(object): void} options.apply - Restores a form state.
+     * @param {function(string, string=): void} options.notify - Shows a message, e.g. showToast.
+     */
+    function attach(options) {
+        const { select, nameInput, saveButton, deleteButton, exportButton, importInput, read, apply, notify } = options;
+        const store = createStore(options.storageKey);
+
+        function render(selected = '') {
+            select.innerHTML = '';
+            select.add(new Option(store.list().length > 0 ? 'Choose a preset...' : 'No saved presets', ''));
+            store.list().forEach(name => select.add(new Option(name, name, false, name === selected)));
+        }
+
+        select.addEventListener('change', () => {
+            const state = store.get(select.value);
+            if (!state) return;
+            apply(state);
+            nameInput.value = select.value;
+            notify(`Preset "${select.value}" loaded.`, 'success');
+        });
+
+        saveButton.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                notify('Enter a name for the preset.', 'error');
+                return;
+            }
+            try {
+                store.save(name, read());
+            } catch (error) {
+                notify(error.message, 'error');
+                return;
+            }
+            render(name);
+            notify(`Preset "${name}" saved.`, 'success');
+        });
+
+        deleteButton.addEventListener('click', () => {
+            const name = select.value;
+            if (!name) {
+                notify('Choose a preset to delete.', 'error');
+                return;
+            }
+            try {
+                store.remove(name);
+            } catch (error) {
+                notify(error.message, 'error');
+                return;
+            }
+            render();
+            notify(`Preset "${name}" deleted.`);
+        });
+
+        exportButton.addEventListener('click', () => {
+            const url = URL.createObjectURL(new Blob([store.exportJson()], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${options.storageKey}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        });
+
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => {
+                    const count = store.importJson(text);
+                    render(select.value);
+                    notify(`Imported ${count} preset(s).`, 'success');
+                })
+                .catch(error => notify(error.message, 'error'))
+                .finally(() => { importInput.value = ''; });
+        });
+
+        render();
+    }
+
+    return { createStore, attach };
+})();
@@ -0,0 +1,519 @@
+/**
+ * @fileoverview sing-box profile builder shared by the converter and subscription pages.
+ * Turns normalized proxy objects (see codec.js) into sing-box outbounds and back, and wraps
+ * outbounds in a complete profile with DNS, inbounds, selector/urltest groups and route rules.
+ * Targets the sing-box 1.12+ format (rule actions, typed DNS servers, no dns/block outbounds).
+ */
+
+const SingBox = (() => {
+    const TEST_URL = 'https://www.gstatic.com/generate_204';
+
+    const RULE_SETS = {
+        ads: {
+            tag: 'geosite-category-ads-all',
+            url: 'https://raw.githubusercontent.com/SagerNet/sing-geosite/rule-set/geosite-category-ads-all.srs'
+        },
+        porn: {
+            tag: 'geosite-category-porn',
+            url: 'https://raw.githubusercontent.com/SagerNet/sing-geosite/rule-set/geosite-category-porn.srs'
+        }
+    };
+
+    /**
+     * Converts a normalized proxy object into a sing-box outbound.
+     * @param {object} proxy - The normalized proxy object.
+     * @param {string} tag - The outbound tag.
+     * @returns {object} The sing-box outbound.
+     * @throws {Error} If the protocol or transport has no sing-box equivalent.
+     */
+    function formatOutbound(proxy, tag) {
+        const base = { tag, server: proxy.server, server_port: proxy.port };
+
+        switch (proxy.type) {
+            case 'vmess':
+                return withTransport({
+                    ...base, type: 'vmess', uuid: proxy.uuid,
+                    security: proxy.cipher || 'auto', alter_id: proxy.alterId || 0,
+                    ...formatTls(proxy)
+                }, proxy);
+            case 'vless': {
+                const outbound = { ...base, type: 'vless', uuid: proxy.uuid, ...formatTls(proxy) };
+                if (proxy.flow) outbound.flow = proxy.flow;
+                return withTransport(outbound, proxy);
+            }
+            case 'trojan':
+                return withTransport({ ...base, type: 'trojan', password: proxy.password, ...formatTls(proxy) }, proxy);
+            case 'ss': {
+                const outbound = { ...base, type: 'shadowsocks', method: proxy.cipher, password: proxy.password };
+                if (proxy.network === 'ws') {
+                    const pluginOptions = ['mode=websocket', `host=${proxy.wsHost || proxy.sni}`, `path=${proxy.wsPath || '/'}`, 'mux=0'];
+                    if (proxy.tls) pluginOptions.push('tls');
+                    outbound.plugin = 'v2ray-plugin';
+                    outbound.plugin_opts = pluginOptions.join(';');
+                }
+                return outbound;
+            }
+            case 'hysteria2': {
+                const outbound = { ...base, type: 'hysteria2', password: proxy.password, ...formatTls(proxy) };
+                if (proxy.up) outbound.up_mbps = parseInt(proxy.up, 10);
+                if (proxy.down) outbound.down_mbps = parseInt(proxy.down, 10);
+                if (proxy.obfs) outbound.obfs = { type: proxy.obfs, password: proxy.obfsPassword };
+                if (proxy.ports) {
+                    // sing-box writes ranges as "start:end" and wants single ports as ranges too
+                    outbound.server_ports = proxy.ports.split(',')
+                        .map(part => (part.includes('-') ? part.replace('-', ':') : `${part}:${part}`));
+                }
+                return outbound;
+            }
+            case 'tuic':
+                return {
+                    ...base, type: 'tuic', uuid: proxy.uuid, password: proxy.password,
+                    congestion_control: proxy.congestionControl, udp_relay_mode: proxy.udpRelayMode,
+                    ...formatTls(proxy)
+                };
+            default:
+                throw new Error(`sing-box does not support the ${proxy.type} protocol`);
+        }
+    }
+
+    function formatTls(proxy) {
+        if (!proxy.tls) return {};
+        const tls = { enabled: true, server_name: proxy.sni, insecure: Boolean(proxy.skipCertVerify) };
+        if (proxy.alpn && proxy.alpn.length) tls.alpn = proxy.alpn;
+        if (proxy.fingerprint || proxy.reality) {
+            tls.utls = { enabled: true, fingerprint: proxy.fingerprint || 'chrome' };
+        }
+        if (proxy.reality) {
+            tls.reality = { enabled: true, public_key: proxy.publicKey, short_id: proxy.shortId };
+        }
+        return { tls };
+    }
+
+    function withTransport(outbound, proxy) {
+        const host = proxy.wsHost || proxy.sni;
+        const path = proxy.wsPath || '/';
+
+        switch (proxy.network || 'tcp') {
+            case 'ws':
+                outbound.transport = { type: 'ws', path, headers: { Host: host } };
+                break;
+            case 'httpupgrade':
+                outbound.transport = { type: 'httpupgrade', path, host };
+                break;
+            case 'grpc':
+                outbound.transport = { type: 'grpc', service_name: proxy.serviceName || '' };
+                break;
+            case 'h2':
+                outbound.transport = { type: 'http', host: [host], path };
+                break;
+            case 'xhttp':
+                throw new Error('sing-box does not support the xhttp transport');
+            case 'tcp':
+                if (proxy.headerType === 'http') {
+                    outbound.transport = { type: 'http', host: [host], path, method: 'GET' };
+                }
+                break;
+            default:
+                throw new Error(`Unsupported transport: ${proxy.network}`);
+        }
+        return outbound;
+    }
+
+    /**
+     * Converts a sing-box outbound back into a normalized proxy object.
+     * @param {object} outbound - The sing-box outbound.
+     * @returns {object|null} The normalized proxy object, or null for non-proxy outbounds
+     *     (selector, urltest, direct, block, dns).
+     * @throws {Error} If the outbound is a proxy type or transport with no share-link form.
+     */
+    function parseOutbound(outbound) {
+        if (['selector', 'urltest', 'direct', 'block', 'dns'].includes(outbound.type)) return null;
+        if (!outbound.server || !outbound.server_port) {
+            throw new Error('Missing server or server_port');
+        }
+
+        const tls = outbound.tls || {};
+        const base = {
+            name: outbound.tag || outbound.server,
+            server: outbound.server,
+            port: parseInt(outbound.server_port, 10),
+            tls: Boolean(tls.enabled),
+            sni: tls.server_name || outbound.server,
+            skipCertVerify: Boolean(tls.insecure)
+        };
+
+        switch (outbound.type) {
+            case 'vmess':
+                return {
+                    ...base, type: 'vmess', uuid: outbound.uuid,
+                    alterId: outbound.alter_id || 0, cipher: outbound.security || 'auto',
+                    ...readTransport(outbound.transport, base.tls)
+                };
+            case 'vless': {
+                const reality = tls.reality || {};
+                return {
+                    ...base, type: 'vless', uuid: outbound.uuid,
+                    flow: outbound.flow || '',
+                    fingerprint: (tls.utls && tls.utls.enabled && tls.utls.fingerprint) || '',
+                    reality: Boolean(reality.enabled),
+                    publicKey: reality.public_key || '',
+                    shortId: reality.short_id || '',
+                    spiderX: '',
+                    ...readTransport(outbound.transport, base.tls)
+                };
+            }
+            case 'trojan':
+                return { ...base, type: 'trojan', password: outbound.password, ...readTransport(outbound.transport, base.tls) };
+            case 'shadowsocks': {
+                const plugin = readPluginOptions(outbound.plugin, outbound.plugin_opts);
+                return {
+                    ...base, type: 'ss', cipher: outbound.method, password: outbound.password,
+                    tls: plugin.tls, sni: plugin.host || outbound.server,
+                    network: plugin.websocket ? 'ws' : 'tcp',
+                    wsPath: plugin.path || '/', wsHost: plugin.host || ''
+                };
+            }
+            case 'hysteria2':
+                return {
+                    ...base, type: 'hysteria2', password: outbound.password, tls: true,
+                    alpn: tls.alpn || [],
+                    obfs: outbound.obfs ? outbound.obfs.type : '',
+                    obfsPassword: outbound.obfs ? outbound.obfs.password : '',
+                    up: outbound.up_mbps ? String(outbound.up_mbps) : '',
+                    down: outbound.down_mbps ? String(outbound.down_mbps) : '',
+                    ports: readServerPorts(outbound.server_ports)
+                };
+            case 'tuic':
+                return {
+                    ...base, type: 'tuic', uuid: outbound.uuid, password: outbound.password, tls: true,
+                    alpn: tls.alpn || [],
+                    congestionControl: outbound.congestion_control || 'bbr',
+                    udpRelayMode: outbound.udp_relay_mode || 'native'
+                };
+            default:
+                throw new Error(`Unsupported outbound type: ${outbound.type}`);
+        }
+    }
+
+    function readTransport(transport, isTls) {
+        const fields = { network: 'tcp', wsPath: '/', wsHost: '', headerType: 'none', serviceName: '', mode: '' };
+        if (!transport) return fields;
+
+        switch (transport.type) {
+            case 'ws':
+                return { ...fields, network: 'ws', wsPath: transport.path || '/', wsHost: (transport.headers && transport.headers.Host) || '' };
+            case 'httpupgrade':
+                return { ...fields, network: 'httpupgrade', wsPath: transport.path || '/', wsHost: transport.host || '' };
+            case 'grpc':
+                return { ...fields, network: 'grpc', serviceName: transport.service_name || '' };
+            case 'http': {
+                const host = Array.isArray(transport.host) ? transport.host[0] : transport.host;
+                // Without TLS (or with an explicit method) it is the plain-TCP HTTP header disguise
+                return isTls && !transport.method
+                    ? { ...fields, network: 'h2', wsPath: transport.path || '/', wsHost: host || '' }
+                    : { ...fields, headerType: 'http', wsPath: transport.path || '/', wsHost: host || '' };
+            }
+            default:
+                throw new Error(`Unsupported transport: ${transport.type}`);
+        }
+    }
+
+    function readServerPorts(serverPorts) {
+        const ranges = Array.isArray(serverPorts) ? serverPorts : (serverPorts ? [serverPorts] : []);
+        return ranges.map(range => {
+            const [start, end] = String(range).split(':');
+            return end && end !== start ? `${start}-${end}` : start;
+        }).join(',');
+    }
+
+    function readPluginOptions(plugin, pluginOpts) {
+        const result = { websocket: false, tls: false, host: '', path: '' };
+        if (plugin !== 'v2ray-plugin' || !pluginOpts) return result;
+        pluginOpts.split(';').forEach(option => {
+            const [key, ...valueParts] = option.split('=');
+            const value = valueParts.join('=');
+            if (key === 'mode') result.websocket = value === 'websocket';
+            else if (key === 'tls') result.tls = true;
+            else if (key === 'host') result.host = value;
+            else if (key === 'path') result.path = value;
+        });
+        return result;
+    }
+
+    /**
+     * Builds a complete sing-box profile around a list of proxy outbounds.
+     * The converter passes the same groups, rules and settings it uses for Clash; without them the profile
+     * gets a mixed inbound, an optional TUN inbound and fixed DNS servers.
+     * @param {Array<object>} outbounds - The proxy outbounds from formatOutbound.
+     * @param {object} options - Profile options.
+     * @param {boolean} options.useFakeIp - Answer A/AAAA queries from the fake-ip pool.
+     * @param {boolean} options.urlTest - Add a "Best Ping" urltest group.
+     * @param {boolean} options.adsBlock - Reject the ads rule set.
+     * @param {boolean} options.pornBlock - Reject the porn rule set.
+     * @param {Array<{tag: string, outbounds: Array<string>}>} [options.regionGroups=[]] - Extra urltest groups, offered in PROXY.
+     * @param {Array<object>} [options.customRules=[]] - Rules in the ClashRules.parseRules shape.
+     * @param {Array<{name: string, url: string, target: string}>} [options.ruleProviders=[]] - Remote rule sets in
+     *   sing-box format (.srs or .json) and the outbound they route to.
+     * @param {object} [options.settings] - General and DNS settings in the ClashSettings.PRESETS shape;
+     *   replaces mixedPort and tun.
+     * @param {number} [options.mixedPort=7890] - Listen port of the mixed inbound.
+     * @param {boolean} [options.tun=true] - Add a TUN inbound.
+     * @returns {object} The sing-box profile.
+     * @throws {Error} If a custom rule or rule provider has no sing-box form.
+     */
+    function buildProfile(outbounds, options) {
+        const {
+            useFakeIp, urlTest, adsBlock, pornBlock, regionGroups = [], customRules = [], ruleProviders = [], settings = null
+        } = options;
+        const tags = outbounds.map(outbound => outbound.tag);
+        const ruleSets = new Map();
+        const addRuleSet = set => ruleSets.set(set.tag, set);
+        const blockedRuleSets = [adsBlock && RULE_SETS.ads, pornBlock && RULE_SETS.porn].filter(Boolean);
+        blockedRuleSets.forEach(addRuleSet);
+
+        const groups = [{
+            type: 'selector', tag: 'PROXY',
+            outbounds: [...(urlTest ? ['Best Ping'] : []), ...regionGroups.map(group => group.tag), ...tags, 'direct']
+        }];
+        if (urlTest) {
+            groups.push({ type: 'urltest', tag: 'Best Ping', outbounds: tags, url: TEST_URL, interval: '5m', tolerance: 50 });
+        }
+        regionGroups.forEach(group => {
+            groups.push({ type: 'urltest', tag: group.tag, outbounds: group.outbounds, url: TEST_URL, interval: '5m', tolerance: 50 });
+        });
+
+        const dns = settings ? buildDns(settings, addRuleSet) : buildDefaultDns(useFakeIp);
+        if (blockedRuleSets.length) {
+            dns.rules.unshift({ rule_set: blockedRuleSets.map(set => set.tag), action: 'reject' });
+        }
+
+        const routeRules = [
+            { action: 'sniff' },
+            { protocol: 'dns', action: 'hijack-dns' }
+        ];
+        if (settings) routeRules.push({ inbound: 'dns-in', action: 'hijack-dns' });
+        routeRules.push({ ip_is_private: true, outbound: 'direct' });
+        customRules.forEach(rule => routeRules.push(formatRule(rule, addRuleSet)));
+        if (blockedRuleSets.length) {
+            routeRules.push({ rule_set: blockedRuleSets.map(set => set.tag), action: 'reject' });
+        }
+        ruleProviders.forEach(provider => {
+            addRuleSet(formatRuleSet(provider.name, provider.url));
+            routeRules.push(withTarget({ rule_set: provider.name }, provider.target));
+        });
+
+        const profile = {
+            log: { level: 'info', timestamp: true },
+            dns,
+            inbounds: settings ? buildInbounds(settings) : buildDefaultInbounds(options),
+            outbounds: [...groups, ...outbounds, { type: 'direct', tag: 'direct' }],
+            route: {
+                rules: routeRules,
+                final: 'PROXY',
+                auto_detect_interface: settings ? settings.tun.autoDetectInterface : true,
+                default_domain_resolver: 'dns-direct'
+            },
+            experimental: {
+                cache_file: { enabled: true, store_fakeip: Boolean(useFakeIp) }
+            }
+        };
+        const externalController = settings ? settings.externalController : '127.0.0.1:9090';
+        if (externalController) {
+            profile.experimental.clash_api = { external_controller: externalController };
+            if (settings && settings.secret) profile.experimental.clash_api.secret = settings.secret;
+        }
+        if (ruleSets.size > 0) {
+            profile.route.rule_set = [...ruleSets.values()].map(set => ({
+                type: 'remote', tag: set.tag, format: set.format || 'binary', url: set.url, download_detour: 'direct'
+            }));
+        }
+        return profile;
+    }
+
+    /**
+     * Lists the general and DNS settings a sing-box profile cannot carry, so the page can say they were left out.
+     * @param {object} settings - Settings in the ClashSettings.PRESETS shape.
+     * @returns {Array<string>} One message per setting that has no sing-box equivalent.
+     */
+    function listIgnoredSettings(settings) {
+        const dns = settings.dns;
+        const ignored = [];
+        if (dns.nameserver.length > 1) ignored.push(`only the first nameserver is used (${dns.nameserver.slice(1).join(', ')} left out)`);
+        if (dns.fallback.length > 0) ignored.push('fallback nameservers have no sing-box equivalent');
+        if (dns.defaultNameserver.length > 1) ignored.push('only the first default nameserver is used');
+        Object.entries(dns.nameserverPolicy)
+            .filter(([pattern]) => /^rule-set:/i.test(pattern))
+            .forEach(([pattern]) => ignored.push(`nameserver-policy "${pattern}" refers to a Clash rule set`));
+        return ignored;
+    }
+
+    function buildDefaultInbounds({ mixedPort = 7890, tun = true }) {
+        const inbounds = [{ type: 'mixed', tag: 'mixed-in', listen: '127.0.0.1', listen_port: mixedPort }];
+        if (tun) inbounds.unshift(tunInbound('mixed', true));
+        return inbounds;
+    }
+
+    function buildInbounds(settings) {
+        const listen = settings.allowLan ? '0.0.0.0' : '127.0.0.1';
+        const inbounds = [
+            ['mixed', settings.mixedPort], ['http', settings.port], ['socks', settings.socksPort], ['redirect', settings.redirPort]
+        ]
+            .filter(([, port]) => port !== '')
+            .map(([type, port]) => ({ type, tag: `${type}-in`, listen, listen_port: Number(port) }));
+        if (settings.tun.enable) inbounds.unshift(tunInbound(settings.tun.stack, settings.tun.autoRoute));
+
+        // Clash's DNS listen address becomes an inbound whose queries are answered by the DNS module
+        const { host, port } = splitHostPort(settings.dns.listen);
+        inbounds.push({ type: 'direct', tag: 'dns-in', listen: host || '0.0.0.0', listen_port: port });
+        return inbounds;
+    }
+
+    function tunInbound(stack, autoRoute) {
+        return {
+            type: 'tun', tag: 'tun-in', address: ['172.19.0.1/30', 'fdfe:dcba:9876::1/126'],
+            auto_route: autoRoute, strict_route: autoRoute, stack
+        };
+    }
+
+    function buildDefaultDns(useFakeIp) {
+        const servers = [
+            { type: 'https', tag: 'dns-remote', server: '1.1.1.1', detour: 'PROXY' },
+            { type: 'udp', tag: 'dns-direct', server: '8.8.8.8' }
+        ];
+        const rules = [];
+        if (useFakeIp) {
+            servers.push({ type: 'fakeip', tag: 'dns-fakeip', inet4_range: '198.18.0.0/15', inet6_range: 'fc00::/18' });
+            rules.push({ query_type: ['A', 'AAAA'], server: 'dns-fakeip' });
+        }
+        return { servers, rules, final: 'dns-remote', independent_cache: true };
+    }
+
+    /**
+     * Builds the DNS section from Clash-style DNS settings: the first nameserver answers by default, the first
+     * default nameserver resolves server hostnames, nameserver-policy entries become DNS rules and
+     * fake-ip-filter entries bypass the fake-ip pool.
+     */
+    function buildDns(settings, addRuleSet) {
+        const dns = settings.dns;
+        const servers = [
+            formatDnsServer(dns.defaultNameserver[0] || '8.8.8.8', 'dns-direct'),
+            formatDnsServer(dns.nameserver[0], 'dns-remote')
+        ];
+        const rules = [];
+        Object.entries(dns.nameserverPolicy)
+            .filter(([pattern]) => !/^rule-set:/i.test(pattern))
+            .forEach(([pattern, policyServers], index) => {
+                const tag = `dns-policy-${index + 1}`;
+                servers.push(formatDnsServer([].concat(policyServers)[0], tag));
+                rules.push({ ...formatDomainMatcher(pattern, addRuleSet), server: tag });
+            });
+        if (dns.useFakeIp) {
+            dns.fakeIpFilter.forEach(pattern => rules.push({ ...formatDomainMatcher(pattern, addRuleSet), server: 'dns-remote' }));
+            servers.push({ type: 'fakeip', tag: 'dns-fakeip', inet4_range: '198.18.0.0/15', inet6_range: 'fc00::/18' });
+            rules.push({ query_type: ['A', 'AAAA'], server: 'dns-fakeip' });
+        }
+        const section = { servers, rules, final: 'dns-remote', independent_cache: true };
+        if (!dns.ipv6) section.strategy = 'ipv4_only';
+        return section;
+    }
+
+    /**
+     * Converts a Clash DNS server address (IP, udp://, tcp://, tls://, https://, quic://, dhcp:// or system)
+     * into a typed sing-box DNS server. Servers given by hostname are resolved through dns-direct.
+     */
+    function formatDnsServer(address, tag) {
+        if (address === 'system') return { type: 'local', tag };
+        const match = address.match(/^(udp|tcp|tls|https|quic|dhcp):\/\/(.+)$/i);
+        const type = match ? match[1].toLowerCase() : 'udp';
+        if (type === 'dhcp') {
+            return ['auto', 'system'].includes(match[2]) ? { type: 'dhcp', tag } : { type: 'dhcp', tag, interface: match[2] };
+        }
+        const authority = match ? match[2] : address;
+        // Bare IPv6 addresses need brackets before URL can split off the port
+        const url = new URL(`http://${!authority.startsWith('[') && (authority.match(/:/g) || []).length > 1 ? `[${authority}]` : authority}`);
+        const server = { type, tag, server: url.hostname.replace(/^\[(.*)\]$/, '$1') };
+        if (url.port) server.server_port = Number(url.port);
+        if (type === 'https' && url.pathname !== '/' && url.pathname !== '/dns-query') server.path = url.pathname;
+        if (tag !== 'dns-direct' && !/^[\d.]+$|:/.test(server.server)) server.domain_resolver = 'dns-direct';
+        return server;
+    }
+
+    /**
+     * Converts a Clash domain pattern ("+.example.com", "*.lan", "geosite:cn" or a plain domain) into
+     * the matching fields of a sing-box rule.
+     */
+    function formatDomainMatcher(pattern, addRuleSet) {
+        const geosite = pattern.match(/^geosite:(.+)$/i);
+        if (geosite) {
+            const set = geositeRuleSet(geosite[1]);
+            addRuleSet(set);
+            return { rule_set: set.tag };
+        }
+        const anyDepth = pattern.startsWith('+.');
+        const rest = anyDepth ? pattern.substring(2) : pattern;
+        if (!rest.includes('*')) return anyDepth ? { domain_suffix: rest } : { domain: rest };
+        // "*" stands for exactly one label, a leading "+." for any number of them
+        const labels = rest.split('.').map(label => (label === '*' ? '[^.]+' : label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+        return { domain_regex: `^${anyDepth ? '(?:[^.]+\\.)*' : ''}${labels.join('\\.')}$` };
+    }
+
+    /**
+     * Converts a custom rule in the ClashRules.parseRules shape into a sing-box route rule.
+     * @param {object} rule - The parsed rule.
+     * @param {function(object)} addRuleSet - Registers a remote rule set the rule refers to.
+     * @returns {object} The route rule.
+     * @throws {Error} If the rule type has no sing-box equivalent.
+     */
+    function formatRule({ type, value, target }, addRuleSet) {
+        switch (type) {
+            case 'DOMAIN': return withTarget({ domain: value }, target);
+            case 'DOMAIN-SUFFIX': return withTarget({ domain_suffix: value.replace(/^\./, '') }, target);
+            case 'DOMAIN-KEYWORD': return withTarget({ domain_keyword: value }, target);
+            case 'IP-CIDR': return withTarget({ ip_cidr: value }, target);
+            case 'PROCESS-NAME': return withTarget({ process_name: value }, target);
+            case 'GEOIP': {
+                if (['LAN', 'PRIVATE'].includes(value.toUpperCase())) return withTarget({ ip_is_private: true }, target);
+                const set = {
+                    tag: `geoip-${value.toLowerCase()}`,
+                    url: `https://raw.githubusercontent.com/SagerNet/sing-geoip/rule-set/geoip-${value.toLowerCase()}.srs`
+                };
+                addRuleSet(set);
+                return withTarget({ rule_set: set.tag }, target);
+            }
+            case 'GEOSITE': {
+                const set = geositeRuleSet(value);
+                addRuleSet(set);
+                return withTarget({ rule_set: set.tag }, target);
+            }
+            default:
+                throw new Error(`sing-box has no equivalent of ${type} rules`);
+        }
+    }
+
+    function geositeRuleSet(category) {
+        const name = category.toLowerCase();
+        return { tag: `geosite-${name}`, url: `https://raw.githubusercontent.com/SagerNet/sing-geosite/rule-set/geosite-${name}.srs` };
+    }
+
+    /**
+     * Describes a remote rule set, reading its format from the file extension.
+     * @throws {Error} If the URL is not a .srs (binary) or .json (source) rule set.
+     */
+    function formatRuleSet(tag, url) {
+        const extension = (url.match(/\.(srs|json)(?:[?#].*)?$/i) || [])[1];
+        if (!extension) throw new Error(`${tag}: sing-box needs a .srs or .json rule set, not ${url}`);
+        return { tag, url, format: extension.toLowerCase() === 'srs' ? 'binary' : 'source' };
+    }
+
+    function withTarget(rule, target) {
+        if (target === 'REJECT') return { ...rule, action: 'reject' };
+        return { ...rule, outbound: target === 'DIRECT' ? 'direct' : target };
+    }
+
+    function splitHostPort(address) {
+        const match = String(address).match(/^\[?(.*?)\]?:(\d+)$/);
+        return match ? { host: match[1], port: Number(match[2]) } : { host: address, port: 53 };
+    }
+
+    return { formatOutbound, parseOutbound, buildProfile, listIgnoredSettings };
+})();
@@ -6,27 +6,30 @@
 
 const CONFIG = {
     PROXY_LIST_URL: 'https://raw.githubusercontent.com/FoolVPN-ID/Nautica/refs/heads/main/proxyList.txt',
-    API_CHECK_URLS: [
-        'https://afrcloud.dpdns.org/', // Primary API
-        'https://api.jb8fd7grgd.workers.dev/' // Fallback API
-    ],
-    CORS_PROXIES: [
-        'https://api.allorigins.win/get?url=', // Primary CORS Proxy
-        'https://cors-anywhere.herokuapp.com/' // Fallback CORS Proxy
-    ],
     MAIN_DOMAINS: [window.location.hostname],
     DEFAULT_UUID: 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff',
     MAX_PROXIES: 50,
     DEFAULT_PROXY_COUNT: 5,
     PATH_TEMPLATE: '/{ip}-{port}',
-    BATCH_SIZE: 5, // Reduced batch size for more stability
-    VALIDATION_TIMEOUT: 5000 // 5 seconds
+    NAME_TEMPLATE: '[{index}] ({country}) {provider} [{protocol}-{tls}]',
+    VALIDATION_CONCURRENCY: 5, // Proxies checked at the same time
+    MAX_VALIDATION_CONCURRENCY: 20,
+    VALIDATION_TIMEOUT: 5000, // Per request, in milliseconds
+    VALIDATION_RETRIES: 2, // Extra attempts when no checker answers
+    RETRY_BACKOFF: 500, // First retry delay in milliseconds, doubled for each retry
+    MAX_UNANSWERED_STREAK: 10, // Consecutive unanswered checks after which the checker counts as unreachable
+    UNANSWERED_SAMPLE: 20, // Checks needed before the share of unanswered ones is judged
+    LATENCY_SAMPLE_FACTOR: 3, // Latency-based selection picks from this many times the requested count
+    RESERVED_NAMES: ['PROXY', 'Best Ping', 'direct'] // Group and outbound tags of generated sing-box profiles
 };
 
 let proxyList = [];
 let filteredProxyList = [];
 let validatedProxies = [];
 let validationInProgress = false;
+let validationAbort = null; // Aborts in-flight checks when validation is stopped
+let pendingCountry = null; // Country from the URL, applied once the region list has loaded
+let rejectedFormState = false; // A shared value did not fit the form, so auto-generate waits for the user
 
 // --- DOM ELEMENTS ---
 
@@ -34,6 +37,12 @@ const dom = {
     form: document.getElementById('subLinkForm'),
     configTypeSelect: document.getElementById('configType'),
     formatTypeSelect: document.getElementById('formatType'),
+    subscriptionContainer: document.getElementById('subscriptionContainer'),
+    profileTitleInput: document.getElementById('profileTitle'),
+    updateIntervalInput: document.getElementById('updateInterval'),
+    nekoboxContainer: document.getElementById('nekoboxContainer'),
+    mixedPortInput: document.getElementById('mixedPort'),
+    tunInboundCheckbox: document.getElementById('tunInbound'),
     uuidInput: document.getElementById('uuid'),
     generateUuidBtn: document.getElementById('generateUuid'),
     bugTypeSelect: document.getElementById('bugType'),
@@ -41,21 +50,82 @@ const dom = {
     customBugContainer: document.getElementById('customBugContainer'),
     customBugInput: document.getElementById('customBug'),
     tlsSelect: document.getElementById('tls'),
+    realityContainer: document.getElementById('realityContainer'),
+    realityPublicKeyInput: document.getElementById('realityPublicKey'),
+    realityShortIdInput: document.getElementById('realityShortId'),
+    realityServerNameInput: document.getElementById('realityServerName'),
+    realityFingerprintSelect: document.getElementById('realityFingerprint'),
+    realityFlowSelect: document.getElementById('realityFlow'),
     countrySelect: document.getElementById('country'),
     limitInput: document.getElementById('limit'),
+    selectionSelect: document.getElementById('selection'),
+    latencyInNameCheckbox: document.getElementById('latencyInName'),
+    nameTemplateInput: document.getElementById('nameTemplate'),
+    renameRulesInput: document.getElementById('renameRules'),
     validateProxiesCheckbox: document.getElementById('validateProxies'),
+    concurrencyInput: document.getElementById('concurrency'),
+    forceRecheckCheckbox: document.getElementById('forceRecheck'),
+    cacheTtlInput: document.getElementById('cacheTtl'),
+    validationSummaryElement: document.getElementById('validation-summary'),
+    checkerBackendsInput: document.getElementById('checkerBackends'),
+    saveCheckerBackendsBtn: document.getElementById('saveCheckerBackends'),
+    resetCheckerBackendsBtn: document.getElementById('resetCheckerBackends'),
+    stopValidationBtn: document.getElementById('stopValidation'),
+    autoGenerateCheckbox: document.getElementById('autoGenerate'),
     loadingElement: document.getElementById('loading'),
     validationStatusElement: document.getElementById('validation-status'),
     validationCountElement: document.getElementById('validation-count'),
     validationBarElement: document.getElementById('validation-bar'),
     validCountElement: document.getElementById('valid-count'),
     invalidCountElement: document.getElementById('invalid-count'),
+    unansweredCountElement: document.getElementById('unanswered-count'),
     errorMessageElement: document.getElementById('error-message'),
     debugErrorMessageElement: document.getElementById('debug-error-message'),
+    warningMessageElement: document.getElementById('warning-message'),
     resultElement: document.getElementById('result'),
     outputElement: document.getElementById('output'),
     copyLinkBtn: document.getElementById('copyLink'),
-    regionLoadingSpinner: document.getElementById('region-loading-spinner')
+    copyShareLinkBtn: document.getElementById('copyShareLink'),
+    downloadSubscriptionBtn: document.getElementById('downloadSubscription'),
+    regionLoadingSpinner: document.getElementById('region-loading-spinner'),
+    // Presets
+    presetSelect: document.getElementById('presetSelect'),
+    presetNameInput: document.getElementById('presetName'),
+    savePresetBtn: document.getElementById('savePreset'),
+    deletePresetBtn: document.getElementById('deletePreset'),
+    exportPresetsBtn: document.getElementById('exportPresets'),
+    importPresetsInput: document.getElementById('importPresets')
+};
+
+/**
+ * URL parameter names for the form fields that are saved in shareable links.
+ */
+const FORM_STATE_PARAMS = {
+    protocol: dom.configTypeSelect,
+    format: dom.formatTypeSelect,
+    uuid: dom.uuidInput,
+    bug: dom.bugTypeSelect,
+    domain: dom.mainDomainSelect,
+    bugs: dom.customBugInput,
+    tls: dom.tlsSelect,
+    pbk: dom.realityPublicKeyInput,
+    sid: dom.realityShortIdInput,
+    sni: dom.realityServerNameInput,
+    fp: dom.realityFingerprintSelect,
+    flow: dom.realityFlowSelect,
+    country: dom.countrySelect,
+    limit: dom.limitInput,
+    select: dom.selectionSelect,
+    lat: dom.latencyInNameCheckbox,
+    name: dom.nameTemplateInput,
+    rename: dom.renameRulesInput,
+    title: dom.profileTitleInput,
+    interval: dom.updateIntervalInput,
+    port: dom.mixedPortInput,
+    tun: dom.tunInboundCheckbox,
+    validate: dom.validateProxiesCheckbox,
+    concurrency: dom.concurrencyInput,
+    auto: dom.autoGenerateCheckbox
 };
 
 // --- INITIALIZATION ---
@@ -63,7 +133,21 @@ const dom = {
 document.addEventListener('DOMContentLoaded', () => {
     populateMainDomains();
     setupEventListeners();
-    loadProxyList();
+    FormPresets.attach({
+        storageKey: 'nixgen-sub-presets',
+        select: dom.presetSelect,
+        nameInput: dom.presetNameInput,
+        saveButton: dom.savePresetBtn,
+        deleteButton: dom.deletePresetBtn,
+        exportButton: dom.exportPresetsBtn,
+        importInput: dom.importPresetsInput,
+        read: () => Object.fromEntries(readFormState(true)),
+        apply: state => applyFormState(new URLSearchParams(state)),
+        notify: showToast
+    });
+    const initialState = new URLSearchParams(window.location.search);
+    applyFormState(initialState);
+    loadProxyList(initialState.get('auto') === '1');
 });
 
 /**
@@ -91,17 +175,52 @@ function setupEventListeners() {
         dom.customBugContainer.style.display = isCustomBug ? 'block' : 'none';
     });
 
+    dom.formatTypeSelect.addEventListener('change', () => {
+        dom.nekoboxContainer.style.display = dom.formatTypeSelect.value === 'nekobox' ? 'flex' : 'none';
+        dom.subscriptionContainer.style.display = isSubscriptionFormat(dom.formatTypeSelect.value) ? 'flex' : 'none';
+        dom.downloadSubscriptionBtn.style.display = isSubscriptionFormat(dom.formatTypeSelect.value) ? 'flex' : 'none';
+    });
+
+    dom.tlsSelect.addEventListener('change', () => {
+        dom.realityContainer.style.display = dom.tlsSelect.value === 'reality' ? 'flex' : 'none';
+    });
+
     dom.form.addEventListener('submit', handleFormSubmit);
 
     dom.copyLinkBtn.addEventListener('click', handleCopyLink);
+
+    dom.stopValidationBtn.addEventListener('click', stopValidation);
+
+    dom.cacheTtlInput.value = ProxyChecker.getCacheTtl();
+    dom.cacheTtlInput.addEventListener('change', () => {
+        const minutes = Number(dom.cacheTtlInput.value);
+        if (Number.isInteger(minutes) && minutes >= 0) {
+            ProxyChecker.setCacheTtl(minutes);
+        } else {
+            dom.cacheTtlInput.value = ProxyChecker.getCacheTtl();
+        }
+    });
+
+    renderCheckerBackends();
+    dom.saveCheckerBackendsBtn.addEventListener('click', saveCheckerBackends);
+    dom.resetCheckerBackendsBtn.addEventListener('click', () => {
+        ProxyChecker.saveBackends(null);
+        renderCheckerBackends();
+        showToast('Checker backends reset to the defaults.');
+    });
+
+    dom.copyShareLinkBtn.addEventListener('click', handleCopyShareLink);
+
+    dom.downloadSubscriptionBtn.addEventListener('click', handleDownloadSubscription);
 }
 
 // --- DATA FETCHING & PROCESSING ---
 
 /**
  * Fetches the proxy list from the configured URL.
+ * @param {boolean} [autoGenerate=false] - Whether to submit the form once the list has loaded.
  */
-function loadProxyList() {
+function loadProxyList(autoGenerate = false) {
     showRegionSpinner(true);
     const submitButton = dom.form.querySelector('button[type="submit"]');
     if (submitButton) submitButton.disabled = true;
@@ -113,6 +232,7 @@ function loadProxyList() {
         })
         .then(text => {
             processProxyData(text);
+            if (autoGenerate && proxyList.length > 0 && !rejectedFormState) dom.form.requestSubmit();
         })
         .catch(error => {
             console.error('Error loading proxy list:', error);
@@ -164,6 +284,74 @@ function populateCountryDropdown() {
         option.textContent = country;
         dom.countrySelect.appendChild(option);
     });
+    if (pendingCountry !== null) {
+        applySelectValue(dom.countrySelect, 'country', pendingCountry);
+        pendingCountry = null;
+    }
+}
+
+// --- SHAREABLE FORM STATE ---
+
+/**
+ * Reads the form into URL parameters.
+ * @param {boolean} [keepEmpty=false] - Whether to include empty fields, so applying the state clears them.
+ * @returns {URLSearchParams} The form state.
+ */
+function readFormState(keepEmpty = false) {
+    const params = new URLSearchParams();
+    Object.entries(FORM_STATE_PARAMS).forEach(([key, element]) => {
+        if (element.type === 'checkbox') {
+            params.set(key, element.checked ? '1' : '0');
+        } else if (keepEmpty || element.value !== '') {
+            params.set(key, element.value);
+        }
+    });
+    return params;
+}
+
+/**
+ * Fills the form from URL parameters and refreshes the fields that depend on them.
+ * @param {URLSearchParams} params - The form state, usually from the page URL.
+ */
+function applyFormState(params) {
+    Object.entries(FORM_STATE_PARAMS).forEach(([key, element]) => {
+        if (!params.has(key)) return;
+        const value = params.get(key);
+        if (element.type === 'checkbox') {
+            element.checked = value === '1';
+        } else if (element === dom.countrySelect && proxyList.length === 0) {
+            // The region options arrive with the proxy list
+            pendingCountry = value;
+        } else if (element.tagName === 'SELECT') {
+            applySelectValue(element, key, value);
+        } else {
+            element.value = value;
+        }
+    });
+    [dom.formatTypeSelect, dom.bugTypeSelect, dom.tlsSelect].forEach(select => select.dispatchEvent(new Event('change')));
+}
+
+/**
+ * Selects a shared value if the select offers it, and warns about it otherwise.
+ * @param {HTMLSelectElement} select - The select to set.
+ * @param {string} key - The parameter name, shown in the warning.
+ * @param {string} value - The shared value.
+ */
+function applySelectValue(select, key, value) {
+    if ([...select.options].some(option => option.value === value)) {
+        select.value = value;
+        return;
+    }
+    rejectedFormState = true;
+    showWarning(`Ignored "${value}" for ${key}: it is not one of the available options, so "${select.options[select.selectedIndex]?.text || 'the default'}" is used instead.`);
+}
+
+/**
+ * Builds a link to this page that opens with the current form state.
+ * @returns {string} The shareable URL.
+ */
+function getShareUrl() {
+    return `${window.location.origin}${window.location.pathname}?${readFormState()}`;
 }
 
 // --- FORM HANDLING & VALIDATION ---
@@ -176,11 +364,12 @@ async function handleFormSubmit(event) {
     try {
         event.preventDefault();
         clearError();
+        dom.validationSummaryElement.style.display = 'none';
 
         const formValues = getFormValues();
         if (!formValues) return; // Validation failed
 
-        const { shouldValidate, ...configOptions } = formValues;
+        const { shouldValidate, concurrency, forceRecheck, selection, ...configOptions } = formValues;
 
         filteredProxyList = getFilteredProxies(configOptions.country);
         if (filteredProxyList.length === 0) {
@@ -189,17 +378,28 @@ async function handleFormSubmit(event) {
         }
 
         shuffleArray(filteredProxyList);
-        filteredProxyList = filteredProxyList.slice(0, configOptions.limit);
 
         if (shouldValidate) {
+            // Validate the whole shuffled pool so dead proxies are replaced by further candidates
             showLoading('Validating proxies...');
-            await validateProxyList();
-            if (validatedProxies.length > 0) {
-                filteredProxyList = validatedProxies;
+            const wanted = selection === 'random' ? configOptions.limit : configOptions.limit * CONFIG.LATENCY_SAMPLE_FACTOR;
+            let run;
+            try {
+                run = await validateProxyList(wanted, concurrency, forceRecheck);
+            } catch (error) {
+                hideLoading();
+                showError(`Validation failed: ${error.message}. Nothing was generated; try again or turn off the active filter.`);
+                showDebugError(error);
+                return;
             }
             hideLoading();
+            validatedProxies = selectProxies(validatedProxies, configOptions.limit, selection);
+            if (!reportValidationShortfall(configOptions.limit, run)) return;
+            filteredProxyList = validatedProxies;
+        } else {
+            filteredProxyList = filteredProxyList.slice(0, configOptions.limit);
         }
-        
+
         const generatedConfig = generateConfiguration(filteredProxyList, configOptions);
         showResult(generatedConfig);
     } catch (error) {
@@ -225,6 +425,55 @@ function getFormValues() {
         return null;
     }
 
+    let reality = null;
+    if (dom.tlsSelect.value === 'reality') {
+        reality = {
+            publicKey: dom.realityPublicKeyInput.value.trim(),
+            shortId: dom.realityShortIdInput.value.trim(),
+            serverName: dom.realityServerNameInput.value.trim(),
+            fingerprint: dom.realityFingerprintSelect.value,
+            flow: dom.realityFlowSelect.value
+        };
+        if (!reality.publicKey || !reality.serverName) {
+            showError('REALITY requires a public key and a server name.');
+            return null;
+        }
+    }
+
+    const mixedPort = parseInt(dom.mixedPortInput.value, 10);
+    if (dom.formatTypeSelect.value === 'nekobox' && (isNaN(mixedPort) || mixedPort < 1 || mixedPort > 65535)) {
+        showError('Mixed inbound port must be between 1 and 65535.');
+        return null;
+    }
+
+    const concurrency = dom.concurrencyInput.value.trim() === ''
+        ? CONFIG.VALIDATION_CONCURRENCY
+        : parseInt(dom.concurrencyInput.value, 10);
+    if (isNaN(concurrency) || concurrency < 1 || concurrency > CONFIG.MAX_VALIDATION_CONCURRENCY) {
+        showError(`Concurrent checks must be between 1 and ${CONFIG.MAX_VALIDATION_CONCURRENCY}.`);
+        return null;
+    }
+
+    const updateInterval = dom.updateIntervalInput.value.trim();
+    if (updateInterval && !/^[1-9]\d*$/.test(updateInterval)) {
+        showError('Update interval must be a whole number of hours.');
+        return null;
+    }
+
+    const selection = dom.selectionSelect.value;
+    if (selection !== 'random' && !dom.validateProxiesCheckbox.checked) {
+        showError('Selecting by latency needs proxy validation. Enable "Filter ProxyIP ACTIVE" first.');
+        return null;
+    }
+
+    let renameRules;
+    try {
+        renameRules = ProxyNaming.parseRules(dom.renameRulesInput.value);
+    } catch (error) {
+        showError(error.message);
+        return null;
+    }
+
     return {
         protocol: dom.configTypeSelect.value,
         format: dom.formatTypeSelect.value,
@@ -232,10 +481,21 @@ function getFormValues() {
         bugType: dom.bugTypeSelect.value,
         mainDomain: dom.mainDomainSelect.value,
         customBug: dom.customBugInput.value,
-        isTls: dom.tlsSelect.value === 'true',
+        isTls: dom.tlsSelect.value !== 'false',
+        reality,
         country: dom.countrySelect.value,
         limit,
-        shouldValidate: dom.validateProxiesCheckbox.checked
+        nameTemplate: dom.nameTemplateInput.value.trim() || CONFIG.NAME_TEMPLATE,
+        renameRules,
+        latencyInName: dom.latencyInNameCheckbox.checked,
+        mixedPort,
+        profileTitle: dom.profileTitleInput.value.trim(),
+        updateInterval: updateInterval ? parseInt(updateInterval, 10) : null,
+        tun: dom.tunInboundCheckbox.checked,
+        shouldValidate: dom.validateProxiesCheckbox.checked,
+        concurrency,
+        forceRecheck: dom.forceRecheckCheckbox.checked,
+        selection
     };
 }
 
@@ -250,99 +510,245 @@ function getFilteredProxies(country) {
 
 
 /**
- * Validates the filtered list of proxies in batches.
+ * Checks candidates from the filtered list, in order, until `limit` active proxies are found or the list runs out.
+ * Each active proxy is kept with the latency its check measured.
+ * Checks run in a sliding window: a new one starts as soon as one finishes. The Stop button ends the run
+ * and keeps the proxies found so far. Results still in the shared check cache are reused unless a recheck is forced.
+ * Checks no checker answered are counted apart from dead proxies. The run gives up early when too many
+ * go unanswered, since the rest of the pool would only wait on the same unreachable checkers.
+ * @param {number} limit - The number of active proxies wanted.
+ * @param {number} concurrency - The number of proxies checked at the same time.
+ * @param {boolean} [forceRecheck=false] - Whether to ignore cached results.
+ * @returns {Promise<{stopped: boolean, unreachable: boolean, unanswered: number}>} Whether the user stopped the run,
+ *   whether it gave up because the checker could not be reached, and how many checks got no answer.
+ * @throws {Error} If the validation itself breaks; that says nothing about the proxies.
  */
-async function validateProxyList() {
+async function validateProxyList(limit, concurrency, forceRecheck = false) {
+    let stopped = false;
+    let unreachable = false;
+    let unansweredCount = 0;
     try {
         validationInProgress = true;
+        validationAbort = new AbortController();
+        const checker = ProxyChecker.createClient({ timeout: CONFIG.VALIDATION_TIMEOUT });
         validatedProxies = [];
+        const results = new Array(filteredProxyList.length).fill(null);
         let totalValidated = 0;
         let validCount = 0;
         let invalidCount = 0;
+        let unansweredStreak = 0;
+        let cachedCount = 0;
+        let oldestCheck = Infinity;
 
         resetValidationUI();
         dom.validationStatusElement.style.display = 'block';
+        dom.stopValidationBtn.style.display = 'inline-flex';
 
         const updateValidationProgress = () => {
-            const progress = (totalValidated / filteredProxyList.length) * 100;
+            // The run ends at whichever comes first: enough active proxies, or no candidates left
+            const progress = Math.max(validCount / limit, totalValidated / filteredProxyList.length) * 100;
             dom.validationCountElement.textContent = `${totalValidated}/${filteredProxyList.length}`;
-            dom.validationBarElement.style.width = `${progress}%`;
+            dom.validationBarElement.style.width = `${Math.min(progress, 100)}%`;
             dom.validCountElement.textContent = validCount;
             dom.invalidCountElement.textContent = invalidCount;
+            dom.unansweredCountElement.textContent = unansweredCount;
+            dom.loadingElement.querySelector('.loading-text').textContent =
+                `Validating proxies... ${Math.min(validCount, limit)}/${limit} active (${totalValidated} checked)`;
         };
 
-        for (let i = 0; i < filteredProxyList.length; i += CONFIG.BATCH_SIZE) {
-            if (!validationInProgress) break;
-            const batch = filteredProxyList.slice(i, i + CONFIG.BATCH_SIZE);
-            await Promise.all(batch.map(async (proxy) => {
-                if (!validationInProgress) return;
-                const isValid = await validateProxy(proxy);
-                if (isValid) {
-                    validCount++;
-                    validatedProxies.push(proxy);
+        let nextIndex = 0;
+        const runWorker = async () => {
+            while (validationInProgress && validCount < limit && nextIndex < filteredProxyList.length) {
+                const index = nextIndex++;
+                const result = await validateProxy(checker, filteredProxyList[index], validationAbort.signal, forceRecheck);
+                if (!validationInProgress) return; // Stopped while this check was running
+                results[index] = result.alive === true ? result : null;
+                if (result.alive === null) {
+                    unansweredCount++;
+                    unansweredStreak++;
                 } else {
-                    invalidCount++;
+                    results[index] ? validCount++ : invalidCount++;
+                    unansweredStreak = 0;
+                }
+                if (result.cached) {
+                    cachedCount++;
+                    oldestCheck = Math.min(oldestCheck, result.checkedAt);
                 }
                 totalValidated++;
                 updateValidationProgress();
-            }));
-        }
-
-        validationInProgress = false;
-    } catch (error) {
-        showDebugError(error);
+                if (unansweredStreak >= CONFIG.MAX_UNANSWERED_STREAK
+                    || (totalValidated >= CONFIG.UNANSWERED_SAMPLE && unansweredCount > totalValidated / 2)) {
+                    unreachable = true;
+                    validationInProgress = false;
+                    validationAbort.abort();
+                }
+            }
+        };
+        const workerCount = Math.min(concurrency, filteredProxyList.length);
+        await Promise.all(Array.from({ length: workerCount }, runWorker));
+        stopped = !validationInProgress && !unreachable;
+
+        // Keep the list order rather than the order the checks finished in. Checks still running when
+        // the limit was reached may have found extra proxies, so trim to the limit.
+        validatedProxies = filteredProxyList
+            .map((proxy, index) => results[index] && { ...proxy, latency: results[index].latency })
+            .filter(Boolean)
+            .slice(0, limit);
+        showValidationSummary(totalValidated, cachedCount, oldestCheck);
+    } finally {
         validationInProgress = false;
+        validationAbort = null;
+        dom.stopValidationBtn.style.display = 'none';
     }
+    return { stopped, unreachable, unanswered: unansweredCount };
 }
 
 /**
- * Checks if a single proxy is active using multiple strategies.
- * @param {object} proxy - The proxy object to validate.
- * @returns {Promise<boolean>} True if the proxy is valid, false otherwise.
+ * Picks the proxies to generate from the validated ones and orders them fastest first.
+ * @param {Array<object>} proxies - Active proxies, each with its measured `latency`, in the order they were drawn.
+ * @param {number} limit - The number of proxies wanted.
+ * @param {string} selection - 'random' keeps the draw, 'fastest' takes the lowest latencies,
+ *   'spread' takes the fastest proxy of each provider in turn.
+ * @returns {Array<object>} At most `limit` proxies, fastest first.
  */
-async function validateProxy(proxy) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.VALIDATION_TIMEOUT);
-
-    // Strategy 1: Try primary API via CORS proxies
-    for (const corsProxy of CONFIG.CORS_PROXIES) {
-        try {
-            const targetUrl = encodeURIComponent(`${CONFIG.API_CHECK_URLS[0]}${proxy.ip}:${proxy.port}`);
-            const response = await fetch(`${corsProxy}${targetUrl}`, { signal: controller.signal });
-            if (!response.ok) continue; // Try next CORS proxy if this one fails
+function selectProxies(proxies, limit, selection) {
+    const byLatency = (a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity);
+    let selected;
+    if (selection === 'spread') {
+        const providers = new Map();
+        [...proxies].sort(byLatency).forEach(proxy => {
+            if (!providers.has(proxy.provider)) providers.set(proxy.provider, []);
+            providers.get(proxy.provider).push(proxy);
+        });
+        // Round-robin over providers, starting with each provider's fastest proxy
+        const queues = [...providers.values()];
+        selected = [];
+        for (let round = 0; selected.length < limit && queues.some(queue => queue.length > round); round++) {
+            queues.forEach(queue => {
+                if (selected.length < limit && queue[round]) selected.push(queue[round]);
+            });
+        }
+    } else if (selection === 'fastest') {
+        selected = [...proxies].sort(byLatency).slice(0, limit);
+    } else {
+        selected = proxies.slice(0, limit);
+    }
+    return selected.sort(byLatency);
+}
 
-            const contents = await response.text();
-            try {
-                const data = JSON.parse(contents);
-                const proxyData = Array.isArray(data.contents) ? JSON.parse(data.contents)[0] : JSON.parse(data.contents);
-                 return proxyData && proxyData.proxyip === true;
-            } catch (e) {
-                // JSON parsing failed, likely not a valid response, try next proxy
-                continue;
-            }
-        } catch (error) {
-            // This attempt failed, continue to the next CORS proxy
-            if (error.name !== 'AbortError') {
-                console.warn(`CORS proxy ${corsProxy} failed for ${proxy.ip}:${proxy.port}:`, error.message);
-            }
+/**
+ * Tells the user when validation found fewer active proxies than requested.
+ * Dead proxies are never used to make up the difference, and proxies no checker answered for are not called dead.
+ * @param {number} limit - The number of proxies requested.
+ * @param {{stopped: boolean, unreachable: boolean, unanswered: number}} run - The outcome of validateProxyList.
+ * @returns {boolean} False if no active proxy was found and nothing should be generated.
+ */
+function reportValidationShortfall(limit, { stopped, unreachable, unanswered }) {
+    const found = validatedProxies.length;
+    if (unreachable) {
+        const message = 'The proxy checker could not be reached, so validation was stopped early.';
+        if (found === 0) {
+            showError(`${message} No proxy could be checked; check the checker backends or turn off the active filter.`);
+            return false;
         }
+        if (found < limit) showWarning(`${message} Only ${found} of the ${limit} requested active proxies were found before that.`);
+        return true;
     }
+    const unansweredNote = unanswered > 0 ? ` ${unanswered} of them could not be checked because no checker answered.` : '';
+    if (found === 0) {
+        showError(stopped
+            ? 'Validation was stopped before any active proxy was found.'
+            : unanswered > 0
+                ? `No active proxy was found among the ${filteredProxyList.length} matching proxies.${unansweredNote}`
+                : `None of the ${filteredProxyList.length} matching proxies are active. Try another country or check again later.`);
+        return false;
+    }
+    if (found < limit) {
+        showWarning(stopped
+            ? `Validation was stopped: only ${found} of the ${limit} requested active proxies were found.`
+            : `Only ${found} of the ${limit} requested proxies are active; all ${filteredProxyList.length} matching proxies were checked.${unansweredNote}`);
+    }
+    return true;
+}
 
-    // Strategy 2: Try fallback API directly
+function renderCheckerBackends() {
+    // Edit the saved list even when ?checker=mock is active, so saving cannot make the mock permanent
+    dom.checkerBackendsInput.value = JSON.stringify(ProxyChecker.loadSavedBackends(), null, 2);
+}
+
+/**
+ * Saves the edited checker backends for both pages.
+ */
+function saveCheckerBackends() {
+    clearError();
     try {
-        const response = await fetch(`${CONFIG.API_CHECK_URLS[1]}${proxy.ip}:${proxy.port}`, { signal: controller.signal });
-        if (response.ok) {
-            const data = await response.json();
-            const proxyData = Array.isArray(data) ? data[0] : data;
-            return proxyData && proxyData.proxyip === true;
-        }
+        ProxyChecker.saveBackends(JSON.parse(dom.checkerBackendsInput.value));
+        showToast(ProxyChecker.isMockOverride()
+            ? 'Checker backends saved. This page keeps using the mock checker until ?checker=mock is removed.'
+            : 'Checker backends saved.', 'success');
     } catch (error) {
-        if (error.name !== 'AbortError') {
-            console.warn(`Fallback API failed for ${proxy.ip}:${proxy.port}:`, error.message);
+        showError(`Invalid checker backends: ${error.message}`);
+    }
+}
+
+/**
+ * Stops a running validation. Proxies already confirmed active are kept.
+ */
+function stopValidation() {
+    if (!validationInProgress) return;
+    validationInProgress = false;
+    validationAbort.abort();
+    showToast('Validation stopped. Keeping the proxies checked so far.');
+}
+
+/**
+ * Tells the user how many results came from the cache and how old they are.
+ * @param {number} total - The number of proxies checked.
+ * @param {number} cachedCount - How many of them were answered from the cache.
+ * @param {number} oldestCheck - The timestamp of the oldest cached result used.
+ */
+function showValidationSummary(total, cachedCount, oldestCheck) {
+    dom.validationSummaryElement.textContent = cachedCount > 0
+        ? `Checked ${total} proxies: ${total - cachedCount} just now, ${cachedCount} from cache (oldest checked ${ProxyChecker.formatAge(oldestCheck)}).`
+        : `Checked ${total} proxies just now.`;
+    dom.validationSummaryElement.style.display = 'block';
+}
+
+/**
+ * Checks if a single proxy is active, retrying with exponential backoff when no checker answers.
+ * @param {object} checker - A client from ProxyChecker.createClient.
+ * @param {object} proxy - The proxy object to validate.
+ * @param {AbortSignal} signal - Aborts every pending attempt when validation is stopped.
+ * @param {boolean} force - Whether to skip the cache.
+ * @returns {Promise<{alive: boolean|null, cached: boolean, checkedAt: number}>} The check result; `alive` is null if nobody answered.
+ */
+async function validateProxy(checker, proxy, signal, force) {
+    let result = { alive: null, cached: false, checkedAt: Date.now() };
+    for (let attempt = 0; attempt <= CONFIG.VALIDATION_RETRIES; attempt++) {
+        if (attempt > 0) await sleep(CONFIG.RETRY_BACKOFF * 2 ** (attempt - 1), signal);
+        if (signal.aborted) break;
+        result = await checker.check(proxy, signal, { force });
+        if (result.alive !== null) break;
+    }
+    return result;
+}
+
+/**
+ * Waits for the given time, or less if the signal fires.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} signal - Ends the wait early when aborted.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timeoutId = setTimeout(done, ms);
+        signal.addEventListener('abort', done);
+        function done() {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', done);
+            resolve();
         }
-    }    
-    clearTimeout(timeoutId);
-    return false; // All strategies failed
+    });
 }
 
 
@@ -382,13 +788,26 @@ function generateConfiguration(proxies, options) {
             });
         });
 
+        // A template without {index}, or a rename rule, can give several proxies the same name
+        const names = ProxyNaming.uniqueNames(configs.map(buildProxyName), CONFIG.RESERVED_NAMES);
+        configs.forEach((config, index) => {
+            config.name = names[index];
+        });
+
         switch (options.format) {
             case 'v2ray':
-                return generateV2rayLinks(configs);
+                return withSubscriptionHeader(generateV2rayLinks(configs), options);
+            case 'v2ray-base64':
+                return safeBase64Encode(withSubscriptionHeader(generateV2rayLinks(configs), options));
             case 'clash':
                 return generateClashConfig(configs);
             case 'nekobox':
-                return generateNekoboxConfig(configs);
+                return generateNekoboxConfig(configs, options);
+            case 'surge':
+            case 'quantumultx':
+            case 'loon':
+            case 'shadowrocket':
+                return generateClientList(configs, options.format);
             default:
                 showError('Unsupported format type selected.');
                 return '';
@@ -423,33 +842,116 @@ function getServerHostSni(bugType, bug, mainDomain) {
  * @returns {string} The V2Ray links.
  */
 function generateV2rayLinks(configs) {
-    const links = configs.map((config, index) => {
-        const { protocol, options } = config;
-        const { uuid, isTls, server, port, host, path, sni, baseName } = options;
-        const tlsStr = isTls ? 'TLS' : 'NTLS';
-        const name = encodeURIComponent(`[${index + 1}] ${baseName} [${protocol.toUpperCase()}-${tlsStr}]`);
-
-        switch (protocol) {
-            case 'vmess':
-                const vmessConfig = {
-                    v: '2', ps: decodeURIComponent(name), add: server, port, id: uuid, aid: '0',
-                    net: 'ws', type: 'none', host, path, tls: isTls ? 'tls' : '', sni, scy: 'zero'
-                };
-                return 'vmess://' + btoa(JSON.stringify(vmessConfig));
-            case 'vless':
-                return `vless://${uuid}@${server}:${port}?encryption=none&security=${isTls ? 'tls' : 'none'}&type=ws&host=${host}&path=${encodeURIComponent(path)}&sni=${sni}#${name}`;
-            case 'trojan':
-                return `trojan://${uuid}@${server}:${port}?security=${isTls ? 'tls' : 'none'}&type=ws&host=${host}&path=${encodeURIComponent(path)}&sni=${sni}#${name}`;
-            case 'shadowsocks':
-                const userInfo = btoa(`none:${uuid}`);
-                return `ss://${userInfo}@${server}:${port}?plugin=v2ray-plugin%3Btls%3Bmux%3D0%3Bmode%3Dwebsocket%3Bpath%3D${encodeURIComponent(path)}%3Bhost%3D${host}#${name}`;
-            default:
-                return '';
-        }
+    const links = configs.map(config => {
+        const { protocol, options, name } = config;
+        const proxy = toCodecProxy(protocol, options, name);
+        return proxy ? LinkCodec.serialize(proxy) : '';
     });
     return links.filter(Boolean).join('\n');
 }
 
+/**
+ * Prepends the optional #profile-title and #profile-update-interval header lines to a link list.
+ * @param {string} links - Newline-separated share links.
+ * @param {object} options - The user-selected options (profileTitle, updateInterval).
+ * @returns {string} The links, preceded by the header block when either option is set.
+ */
+function withSubscriptionHeader(links, options) {
+    const header = [];
+    if (options.profileTitle) header.push(`#profile-title: ${options.profileTitle}`);
+    if (options.updateInterval) header.push(`#profile-update-interval: ${options.updateInterval}`);
+    return header.length > 0 ? `${header.join('\n')}\n${links}` : links;
+}
+
+/**
+ * Tells whether a format produces a share-link subscription that can be saved as a .txt file.
+ * @param {string} format - The selected format type.
+ * @returns {boolean} True for the plain and Base64 V2Ray link formats.
+ */
+function isSubscriptionFormat(format) {
+    return format === 'v2ray' || format === 'v2ray-base64';
+}
+
+/**
+ * Builds the display name of a generated proxy from the user's naming template and rename rules.
+ * Names can repeat; generateConfiguration makes them unique.
+ * @param {object} config - The configuration object ({protocol, proxy, options}).
+ * @param {number} index - The zero-based position of the config.
+ * @returns {string} The proxy name.
+ */
+function buildProxyName(config, index) {
+    const { protocol, proxy, options } = config;
+    const template = options.latencyInName && !options.nameTemplate.includes('{latency}')
+        ? `${options.nameTemplate} [{latency}]`
+        : options.nameTemplate;
+    return ProxyNaming.format(template, {
+        index: index + 1,
+        country: proxy.country || 'UNK',
+        provider: proxy.provider,
+        protocol: protocol.toUpperCase(),
+        tls: getSecurityLabel(protocol, options),
+        server: options.server,
+        original: options.baseName,
+        latency: Number.isFinite(proxy.latency) ? `${Math.round(proxy.latency)}ms` : undefined
+    }, options.renameRules);
+}
+
+/**
+ * Converts a generator config entry into the shared codec's proxy object.
+ * @param {string} protocol - The protocol (vmess, vless, trojan, shadowsocks).
+ * @param {object} options - The per-config options (uuid, isTls, server, port, host, path, sni, reality).
+ * @param {string} name - The display name of the proxy.
+ * @returns {object|null} The normalized proxy object, or null for unknown protocols.
+ */
+function toCodecProxy(protocol, options, name) {
+    const { uuid, isTls, server, port, host, path, sni } = options;
+    const base = {
+        name, server, port, tls: isTls, sni, skipCertVerify: false,
+        network: 'ws', wsPath: path, wsHost: host
+    };
+
+    switch (protocol) {
+        case 'vmess':
+            return { ...base, type: 'vmess', uuid, alterId: 0, cipher: 'zero' };
+        case 'vless':
+            if (isRealityProxy(protocol, options)) {
+                const { publicKey, shortId, serverName, fingerprint, flow } = options.reality;
+                return {
+                    ...base, type: 'vless', uuid, sni: serverName, network: 'tcp', wsPath: '/', wsHost: '',
+                    flow, fingerprint, reality: true, publicKey, shortId, spiderX: ''
+                };
+            }
+            return { ...base, type: 'vless', uuid };
+        case 'trojan':
+            return { ...base, type: 'trojan', password: uuid };
+        case 'shadowsocks':
+            return { ...base, type: 'ss', cipher: 'none', password: uuid };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Tells whether a generated entry should use VLESS REALITY instead of TLS.
+ * @param {string} protocol - The protocol being generated.
+ * @param {object} options - The per-config options.
+ * @returns {boolean} True for vless entries when REALITY is selected.
+ */
+function isRealityProxy(protocol, options) {
+    return protocol === 'vless' && Boolean(options.reality);
+}
+
+/**
+ * Returns the security tag used in generated proxy names.
+ * @param {string} protocol - The protocol being generated.
+ * @param {object} options - The per-config options.
+ * @returns {string} REALITY, TLS or NTLS.
+ */
+function getSecurityLabel(protocol, options) {
+    if (isRealityProxy(protocol, options)) return 'REALITY';
+    return options.isTls ? 'TLS' : 'NTLS';
+}
+
 /**
  * Generates a Clash proxy provider configuration.
  * @param {Array<object>} configs - The array of configuration objects.
@@ -457,13 +959,19 @@ function generateV2rayLinks(configs) {
  */
 function generateClashConfig(configs) {
     const header = `# Clash Proxy Provider Configuration\n# Generated by NixGen\n# Date: ${new Date().toLocaleString('en-US', { timeZone: 'Asia/Jakarta' })}\nproxies:\n`;
-    const proxyYaml = configs.map((config, index) => {
-        const { protocol, options } = config;
-        const { uuid, isTls, server, port, host, path, sni, baseName } = options;
-        const tlsStr = isTls ? 'TLS' : 'NTLS';
-        const name = `[${index + 1}] ${baseName} [${protocol.toUpperCase()}-${tlsStr}]`;
+    const proxyYaml = configs.map(config => {
+        const { protocol, options, name } = config;
+        const { uuid, isTls, server, port, host, path, sni } = options;
+
+        if (isRealityProxy(protocol, options)) {
+            const { publicKey, shortId, serverName, fingerprint, flow } = options.reality;
+            return `\n  - name: ${JSON.stringify(name)}\n    type: vless\n    server: ${server}\n    port: ${port}\n    uuid: ${uuid}\n    network: tcp\n    tls: true\n    udp: true\n    servername: ${serverName}\n` +
+                (flow ? `    flow: ${flow}\n` : '') +
+                `    client-fingerprint: ${fingerprint}\n    reality-opts:\n      public-key: ${publicKey}\n` +
+                (shortId ? `      short-id: "${shortId}"\n` : '');
+        }
 
-        let proxyDetails = `\n  - name: "${name}"\n    server: ${server}\n    port: ${port}\n    tls: ${isTls}\n    skip-cert-verify: true\n    network: ws\n    ws-opts:\n      path: "${path}"\n      headers:\n        Host: ${host}\n`;
+        let proxyDetails = `\n  - name: ${JSON.stringify(name)}\n    server: ${server}\n    port: ${port}\n    tls: ${isTls}\n    skip-cert-verify: true\n    network: ws\n    ws-opts:\n      path: "${path}"\n      headers:\n        Host: ${host}\n`;
         switch (protocol) {
             case 'vmess':
                 return proxyDetails + `    type: vmess\n    uuid: ${uuid}\n    alterId: 0\n    cipher: zero\n    servername: ${sni}`;
@@ -472,7 +980,7 @@ function generateClashConfig(configs) {
             case 'trojan':
                 return proxyDetails + `    type: trojan\n    password: ${uuid}\n    sni: ${sni}`;
             case 'shadowsocks':
-                return `\n  - name: "${name}"\n    type: ss\n    server: ${server}\n    port: ${port}\n    cipher: none\n    password: ${uuid}\n    plugin: v2ray-plugin\n    plugin-opts:\n      mode: websocket\n      tls: ${isTls}\n      skip-cert-verify: true\n      host: ${host}\n      path: "${path}"\n      mux: false\n`;
+                return `\n  - name: ${JSON.stringify(name)}\n    type: ss\n    server: ${server}\n    port: ${port}\n    cipher: none\n    password: ${uuid}\n    plugin: v2ray-plugin\n    plugin-opts:\n      mode: websocket\n      tls: ${isTls}\n      skip-cert-verify: true\n      host: ${host}\n      path: "${path}"\n      mux: false\n`;
             default:
                 return '';
         }
@@ -482,81 +990,59 @@ function generateClashConfig(configs) {
 }
 
 /**
- * Generates a Nekobox configuration.
+ * Generates a line-based proxy list for Surge, Quantumult X, Loon or Shadowrocket.
+ * Proxies the client cannot use are left out and listed in a warning.
  * @param {Array<object>} configs - The array of configuration objects.
- * @returns {string} The Nekobox config in JSON format.
- */
-function generateNekoboxConfig(configs) {
-    const outbounds = configs.map((config, index) => {
-        const { protocol, options } = config;
-        const { uuid, isTls, server, port, host, path, sni, baseName } = options;
-        const tlsStr = isTls ? 'TLS' : 'NTLS';
-        const name = `[${index + 1}] ${baseName} [${protocol.toUpperCase()}-${tlsStr}]`;
-
-        const baseConfig = {
-            server,
-            server_port: port,
-            tag: name,
-            tls: { enabled: isTls, insecure: false, server_name: sni, utls: { enabled: true, fingerprint: 'randomized' } },
-            transport: { type: 'ws', path, headers: { Host: host } }
-        };
-
-        switch (protocol) {
-            case 'vmess':
-                return { ...baseConfig, type: 'vmess', uuid, security: 'zero', alter_id: 0 };
-            case 'vless':
-                return { ...baseConfig, type: 'vless', uuid, flow: '' };
-            case 'trojan':
-                return { ...baseConfig, type: 'trojan', password: uuid };
-            case 'shadowsocks':
-                 return {
-                    type: 'shadowsocks',
-                    tag: name,
-                    server,
-                    server_port: port,
-                    method: 'none',
-                    password: uuid,
-                    plugin: 'v2ray-plugin',
-                    plugin_opts: `mux=0;path=${path};host=${host};tls=${isTls ? '1' : '0'}`
-                };
-            default:
-                return null;
+ * @param {string} client - The client key from ClientFormats.CLIENTS.
+ * @returns {string} One proxy per line.
+ */
+function generateClientList(configs, client) {
+    const { label } = ClientFormats.CLIENTS[client];
+    const lines = [];
+    const skipped = [];
+    configs.forEach(config => {
+        const { name } = config;
+        try {
+            lines.push(ClientFormats.formatProxy(client, toCodecProxy(config.protocol, config.options, name)));
+        } catch (error) {
+            skipped.push(`${name}: ${error.message}`);
         }
-    }).filter(Boolean);
+    });
 
-    const nekoboxJson = {
-        dns: { servers: [{ address: "https://family.cloudflare-dns.com/dns-query" }] },
-        inbounds: [{ listen: '0.0.0.0', listen_port: 2080, tag: 'mixed-in', type: 'mixed' }],
-        outbounds: [
-            {
-                tag: 'Internet',
-                type: 'selector',
-                outbounds: [...outbounds.map(o => o.tag), 'direct']
-            },
-            {
-                tag: 'Best Latency',
-                type: 'urltest',
-                outbounds: [...outbounds.map(o => o.tag), 'direct'],
-                url: 'https://detectportal.firefox.com/success.txt',
-                interval: '1m0s'
-            },
-            ...outbounds,
-            { tag: 'direct', type: 'direct' },
-            { tag: 'bypass', type: 'direct' },
-            { tag: 'block', type: 'block' },
-            { tag: 'dns-out', type: 'dns' }
-        ],
-        route: {
-            rules: [
-                { outbound: 'dns-out', port: [53] },
-                { inbound: ['dns-in'], outbound: 'dns-out' },
-                { network: ['udp'], port: [443], outbound: 'block' },
-                { ip_cidr: ['224.0.0.0/3', 'ff00::/8'], source_ip_cidr: ['224.0.0.0/3', 'ff00::/8'], outbound: 'block' }
-            ]
-        }
-    };
+    if (skipped.length > 0) {
+        showWarning(`${label}: skipped ${skipped.length} of ${configs.length} proxies.\n${skipped.join('\n')}`);
+    }
+    if (lines.length === 0) {
+        showError(`None of the generated proxies can be used in ${label}.`);
+        return '';
+    }
+    // Shadowrocket reads plain share links, so it gets no comment header
+    if (client === 'shadowrocket') return lines.join('\n');
+    const header = `# ${label} Proxy List\n# Generated by NixGen\n# Date: ${new Date().toLocaleString('en-US', { timeZone: 'Asia/Jakarta' })}\n`;
+    return header + lines.join('\n');
+}
+
+/**
+ * Generates a Nekobox / sing-box profile with the shared SingBox builder.
+ * @param {Array<object>} configs - The array of configuration objects.
+ * @param {object} options - The user-selected options (mixedPort, tun).
+ * @returns {string} The sing-box profile in JSON format.
+ */
+function generateNekoboxConfig(configs, options) {
+    const outbounds = configs.map(config => {
+        const proxy = toCodecProxy(config.protocol, config.options, config.name);
+        if (!proxy) return null;
+        // "zero" disables VMess encryption entirely; let sing-box negotiate instead
+        return SingBox.formatOutbound(proxy.type === 'vmess' ? { ...proxy, cipher: 'auto' } : proxy, proxy.name);
+    }).filter(Boolean);
 
-    return JSON.stringify(nekoboxJson, null, 2);
+    const profile = SingBox.buildProfile(outbounds, {
+        useFakeIp: false,
+        urlTest: true,
+        mixedPort: options.mixedPort,
+        tun: options.tun
+    });
+    return JSON.stringify(profile, null, 2);
 }
 
 
@@ -586,11 +1072,23 @@ function showDebugError(error) {
     dom.debugErrorMessageElement.style.display = 'block';
 }
 
+/**
+ * Shows a warning below the form. Warnings raised during one generation are listed together.
+ * @param {string} message - The warning to add.
+ */
+function showWarning(message) {
+    const current = dom.warningMessageElement.textContent;
+    dom.warningMessageElement.textContent = current ? `${current}\n\n${message}` : message;
+    dom.warningMessageElement.style.display = 'block';
+}
+
 function clearError() {
     dom.errorMessageElement.textContent = '';
     dom.errorMessageElement.style.display = 'none';
     dom.debugErrorMessageElement.textContent = '';
     dom.debugErrorMessageElement.style.display = 'none';
+    dom.warningMessageElement.textContent = '';
+    dom.warningMessageElement.style.display = 'none';
 }
 
 function showResult(config) {
@@ -606,6 +1104,7 @@ function resetValidationUI() {
     dom.validationBarElement.style.width = '0%';
     dom.validCountElement.textContent = '0';
     dom.invalidCountElement.textContent = '0';
+    dom.unansweredCountElement.textContent = '0';
 }
 
 /**
@@ -622,6 +1121,38 @@ function handleCopyLink() {
     });
 }
 
+/**
+ * Copies a link that reopens the generator with the current form state.
+ * The state only goes into a URL here, when asked for, since it includes the UUID.
+ */
+function handleCopyShareLink() {
+    copyToClipboard(getShareUrl()).then(success => {
+        if (success) showToast('Share link copied. It contains your UUID, so only share it with people you trust.', 'success');
+    });
+}
+
+/**
+ * Saves the generated subscription as a .txt file named after the profile title.
+ */
+function handleDownloadSubscription() {
+    const content = dom.outputElement.value;
+    if (!content) {
+        showError('No subscription to download. Please generate one first.');
+        return;
+    }
+    const slug = dom.profileTitleInput.value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const filename = `${slug || 'subscription'}.txt`;
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    showToast(`File "${filename}" downloaded successfully!`);
+}
+
 // --- UTILITY FUNCTIONS ---
 
 /**
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const HTTP_BACKEND = { name: 'test', url: 'https://checker.test/{ip}:{port}', mapping: { alive: 'proxyip', latency: 'delay' } };
+
+/**
+ * A fetch whose headers arrive at once but whose body never finishes unless the request is aborted.
+ */
+function stallingFetch(url, { signal }) {
+    return Promise.resolve({
+        ok: true,
+        json: () => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+    });
+}
+
+test('the request timeout also covers reading the body', async () => {
+    const ProxyChecker = loadScripts(['js/checker.js'], { fetch: stallingFetch }).get('ProxyChecker');
+    const checker = ProxyChecker.createClient({ backends: [HTTP_BACKEND], timeout: 50 });
+    const result = await checker.check({ ip: '192.0.2.1', port: 443 });
+    assert.strictEqual(result.alive, null);
+});
+
+test('stopping a check cancels a body that is still being read', async () => {
+    const ProxyChecker = loadScripts(['js/checker.js'], { fetch: stallingFetch }).get('ProxyChecker');
+    const checker = ProxyChecker.createClient({ backends: [HTTP_BACKEND], timeout: 60000 });
+    const controller = new AbortController();
+    const pending = checker.check({ ip: '192.0.2.1', port: 443 }, controller.signal);
+    setTimeout(() => controller.abort(), 20);
+    assert.strictEqual((await pending).alive, null);
+});
+
+test('?checker=mock answers locally and repeatably without touching the saved backends', async () => {
+    const fetch = () => { throw new Error('the mock must not use the network'); };
+    const { get } = loadScripts(['js/checker.js'], { fetch, search: '?checker=mock' });
+    const ProxyChecker = get('ProxyChecker');
+    assert.strictEqual(ProxyChecker.isMockOverride(), true);
+    assert.strictEqual(ProxyChecker.loadBackends()[0].type, 'mock');
+    assert.strictEqual(ProxyChecker.loadSavedBackends(), ProxyChecker.DEFAULT_BACKENDS);
+
+    const checker = ProxyChecker.createClient();
+    const proxies = Array.from({ length: 20 }, (_, index) => ({ ip: `10.0.0.${index}`, port: 443 }));
+    const first = await Promise.all(proxies.map(proxy => checker.check(proxy)));
+    const second = await Promise.all(proxies.map(proxy => checker.check(proxy)));
+    assert.deepStrictEqual(second.map(result => result.alive), first.map(result => result.alive));
+    assert.ok(first.some(result => result.alive) && first.some(result => !result.alive));
+    // Mock answers are never cached, so they cannot leak into a later run against real checkers
+    assert.ok(second.every(result => result.cached === false));
+    assert.strictEqual(get('localStorage').getItem('nixgen-check-cache'), null);
+});
+
+test('mock checks remove their abort listener once they resolve', async () => {
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    const ProxyChecker = loadScripts(['js/checker.js']).get('ProxyChecker');
+    const checker = ProxyChecker.createClient({ backends: [{ ...ProxyChecker.MOCK_BACKEND, delay: 1 }] });
+    for (let index = 0; index < 5; index++) {
+        await checker.check({ ip: `10.0.1.${index}`, port: 80 }, signal);
+    }
+    assert.strictEqual(listeners.size, 0);
+});
+
+test('alive and dead results are cached, unanswered checks are not', async () => {
+    let answer = null;
+    let requests = 0;
+    const fetch = async () => {
+        requests++;
+        if (answer === null) throw new Error('checker down');
+        return { ok: true, json: async () => ({ proxyip: answer, delay: 42 }) };
+    };
+    const ProxyChecker = loadScripts(['js/checker.js'], { fetch }).get('ProxyChecker');
+    const checker = ProxyChecker.createClient({ backends: [HTTP_BACKEND] });
+    const proxy = { ip: '192.0.2.7', port: 443 };
+
+    assert.strictEqual((await checker.check(proxy)).alive, null);
+    assert.strictEqual(ProxyChecker.getCached(proxy), null);
+
+    answer = false;
+    assert.strictEqual((await checker.check(proxy)).alive, false);
+    const cached = await checker.check(proxy);
+    assert.strictEqual(cached.alive, false);
+    assert.strictEqual(cached.cached, true);
+    assert.strictEqual(requests, 2);
+
+    answer = true;
+    assert.strictEqual((await checker.check(proxy, undefined, { force: true })).alive, true);
+    assert.strictEqual(requests, 3);
+});
+
+test('concurrent checks of the same proxy share one backend request', async () => {
+    let requests = 0;
+    const fetch = async () => {
+        requests++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { ok: true, json: async () => ({ proxyip: true, delay: 42 }) };
+    };
+    const ProxyChecker = loadScripts(['js/checker.js'], { fetch }).get('ProxyChecker');
+    const checker = ProxyChecker.createClient({ backends: [HTTP_BACKEND] });
+    const proxy = { ip: '192.0.2.9', port: 443 };
+
+    const results = await Promise.all([checker.check(proxy), checker.check(proxy), checker.check(proxy, undefined, { force: true })]);
+    assert.strictEqual(requests, 1);
+    assert.ok(results.every(result => result.alive === true));
+    // Once settled, the next forced check asks again
+    await checker.check(proxy, undefined, { force: true });
+    assert.strictEqual(requests, 2);
+});
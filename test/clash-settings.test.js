@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { get } = loadScripts(['js/clash-settings.js']);
+const ClashSettings = get('ClashSettings');
+
+// Copied into a local array so deepStrictEqual does not compare arrays from different realms
+function validateListen(externalController, listen) {
+    const preset = ClashSettings.PRESETS.default;
+    return [...ClashSettings.validate({ ...preset, externalController, dns: { ...preset.dns, listen } })];
+}
+
+test('listen addresses accept IPv4, hostnames and bracketed IPv6', () => {
+    assert.deepStrictEqual(validateListen('127.0.0.1:9090', '0.0.0.0:53'), []);
+    assert.deepStrictEqual(validateListen('[::1]:9090', '[::]:53'), []);
+    assert.deepStrictEqual(validateListen(':9090', 'localhost:1053'), []);
+});
+
+test('listen addresses without a port or with bare IPv6 are rejected', () => {
+    assert.deepStrictEqual(validateListen('::1:9090', '0.0.0.0:53'), ['external-controller must look like 127.0.0.1:9090 or [::1]:9090']);
+    assert.deepStrictEqual(validateListen('127.0.0.1:9090', '[::]'), ['DNS listen must look like 0.0.0.0:53 or [::]:53']);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { get } = loadScripts(['js/codec.js', 'js/client-formats.js']);
+const ClientFormats = get('ClientFormats');
+const LinkCodec = get('LinkCodec');
+
+const uuid = 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff';
+const vmess = LinkCodec.parse('vmess://' + Buffer.from(JSON.stringify({
+    v: '2', ps: 'VM, one', add: 'a.com', port: '443', id: uuid, net: 'ws', path: '/ws', host: 'h.com', tls: 'tls', sni: 'h.com', scy: 'zero'
+})).toString('base64'));
+const trojan = LinkCodec.parse('trojan://secret@a.com:443?security=tls&sni=a.com&type=ws&path=%2Ft&host=a.com#TR');
+
+test('Surge lines carry the websocket and TLS parameters', () => {
+    assert.strictEqual(ClientFormats.formatProxy('surge', vmess),
+        `VM one = vmess, a.com, 443, username=${uuid}, ws=true, ws-path=/ws, ws-headers=Host:h.com, tls=true, sni=h.com, skip-cert-verify=false, vmess-aead=true`);
+    assert.strictEqual(ClientFormats.formatProxy('surge', trojan),
+        'TR = trojan, a.com, 443, password=secret, ws=true, ws-path=/t, ws-headers=Host:a.com, sni=a.com, skip-cert-verify=false');
+});
+
+test('Quantumult X lines use obfs for websocket and map the zero cipher to none', () => {
+    assert.strictEqual(ClientFormats.formatProxy('quantumultx', vmess),
+        `vmess=a.com:443, method=none, password=${uuid}, obfs=wss, obfs-host=h.com, obfs-uri=/ws, tls-host=h.com, tls-verification=true, fast-open=false, udp-relay=false, tag=VM one`);
+});
+
+test('Loon lines quote the credentials', () => {
+    assert.strictEqual(ClientFormats.formatProxy('loon', trojan),
+        'TR = trojan, a.com, 443, "secret", transport=ws, path=/t, host=a.com, over-tls=true, sni=a.com, skip-cert-verify=false');
+});
+
+test('proxies a client cannot express are refused, while Shadowrocket takes the share link as is', () => {
+    const reality = LinkCodec.parse(`vless://${uuid}@a.com:443?security=reality&sni=a.com&pbk=abc&sid=01&type=tcp&flow=xtls-rprx-vision#RE`);
+    const hysteria2 = LinkCodec.parse('hysteria2://secret@a.com:443?sni=a.com#HY');
+    ['surge', 'quantumultx', 'loon'].forEach(client => {
+        assert.throws(() => ClientFormats.formatProxy(client, reality), /REALITY is not supported/);
+        assert.throws(() => ClientFormats.formatProxy(client, hysteria2), /does not support HYSTERIA2/);
+    });
+    assert.strictEqual(ClientFormats.formatProxy('shadowrocket', hysteria2), LinkCodec.serialize(hysteria2));
+});
@@ -0,0 +1,261 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadScripts, extractFunctions } = require('./helpers');
+
+const { context, get } = loadScripts(['js/codec.js', 'js/singbox.js']);
+vm.runInContext(extractFunctions('js/converter.js', [
+    'formatProxyForClash', 'formatTransportForClash', 'parseClashProxy', 'readClashTransport',
+    'dedupeProxies', 'getConnectionKey', 'mergeIntoConfig', 'getClashProxyKey'
+]), context);
+const toClash = link => get('formatProxyForClash')(get('LinkCodec').parse(link));
+
+test('Clash entries keep certificate checks on unless the link allows insecure', () => {
+    const uuid = 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff';
+    const base = `vless://${uuid}@example.com:443?security=tls&sni=example.com&type=ws&path=%2F`;
+    assert.strictEqual(toClash(`${base}#secure`)['skip-cert-verify'], false);
+    assert.strictEqual(toClash(`${base}&allowInsecure=1#insecure`)['skip-cert-verify'], true);
+});
+
+test('Hysteria2 reads insecure=1 into skip-cert-verify', () => {
+    assert.strictEqual(toClash('hysteria2://secret@example.com:443?sni=example.com#hy2')['skip-cert-verify'], false);
+    assert.strictEqual(toClash('hysteria2://secret@example.com:443?sni=example.com&insecure=1#hy2')['skip-cert-verify'], true);
+});
+
+test('Shadowsocks v2ray-plugin options follow the link', () => {
+    const link = 'ss://' + Buffer.from('none:pass').toString('base64')
+        + '@example.com:443?plugin=' + encodeURIComponent('v2ray-plugin;tls;mode=websocket;host=example.com;path=/') + '#ss';
+    const proxy = toClash(link);
+    assert.strictEqual(proxy['plugin-opts']['skip-cert-verify'], false);
+});
+
+test('Imported entries missing required fields are rejected before they become links', () => {
+    const uuid = 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff';
+    const { validate } = get('LinkCodec');
+    const fromClash = entry => validate(get('parseClashProxy')(entry));
+    const fromSingBox = outbound => validate(get('SingBox').parseOutbound(outbound));
+
+    assert.throws(() => fromClash({ type: 'vless', server: 'a.com', port: 443 }), /Invalid UUID/);
+    assert.throws(() => fromClash({ type: 'trojan', server: 'a.com', port: 443 }), /Missing password/);
+    assert.throws(() => fromClash({ type: 'trojan', server: 'a.com', port: 'abc', password: 'x' }), /Missing port/);
+    assert.throws(() => fromClash({ type: 'ss', server: 'a.com', port: 443, password: 'x' }), /Missing cipher/);
+    assert.throws(() => fromSingBox({ type: 'vless', server: 'a.com', server_port: 443 }), /Invalid UUID/);
+    assert.doesNotThrow(() => fromClash({ type: 'vless', server: 'a.com', port: 443, uuid }));
+});
+
+test('Transports other than the known ones are rejected instead of becoming TCP', () => {
+    const uuid = 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff';
+    const vmess = 'vmess://' + Buffer.from(JSON.stringify({ v: '2', add: 'a.com', port: '443', id: uuid, net: 'kcp' })).toString('base64');
+    assert.throws(() => get('LinkCodec').parse(vmess), /Unsupported transport: kcp/);
+    assert.throws(() => get('LinkCodec').parse(`vless://${uuid}@a.com:443?type=quic#q`), /Unsupported transport: quic/);
+
+    const proxy = { type: 'vless', name: 'q', server: 'a.com', port: 443, uuid, tls: false, network: 'quic' };
+    assert.throws(() => get('formatProxyForClash')(proxy), /Unsupported transport: quic/);
+    assert.throws(() => get('SingBox').formatOutbound(proxy, 'q'), /Unsupported transport: quic/);
+    assert.strictEqual(toClash(`vless://${uuid}@a.com:443?type=tcp#t`).network, 'tcp');
+});
+
+test('Hysteria2 port hopping reaches Clash ports and sing-box server_ports', () => {
+    const link = 'hysteria2://secret@example.com:443,20000-30000/?sni=example.com#hop';
+    assert.strictEqual(toClash(link).ports, '443,20000-30000');
+    const SingBox = get('SingBox');
+    const outbound = SingBox.formatOutbound(get('LinkCodec').parse(link), 'hop');
+    assert.deepStrictEqual([...outbound.server_ports], ['443:443', '20000:30000']);
+    assert.strictEqual(SingBox.parseOutbound(outbound).ports, '443,20000-30000');
+});
+
+test('duplicate servers collapse by connection identity, whatever their names', () => {
+    const uuid = 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff';
+    const proxies = [
+        `vless://${uuid}@Example.com:443?security=tls&sni=example.com&type=ws&path=%2Fa#Node A`,
+        `vless://${uuid}@example.com:443?security=tls&sni=example.com&type=ws&path=%2Fa#Node B`,
+        `vless://${uuid}@example.com:443?security=tls&sni=example.com&type=ws&path=%2Fb#Other path`,
+        `vless://${uuid}@example.com:443?security=tls&sni=example.com&type=ws&path=%2Fa#Node A`
+    ].map(link => get('LinkCodec').parse(link));
+    const names = mode => [...get('dedupeProxies')(proxies, mode).map(proxy => proxy.name)];
+
+    assert.deepStrictEqual(names('first'), ['Node A', 'Other path']);
+    assert.deepStrictEqual(names('last'), ['Node A', 'Other path']);
+    assert.strictEqual(get('dedupeProxies')(proxies.slice(0, 2), 'last')[0].name, 'Node B');
+    assert.deepStrictEqual(names('merge'), ['Node A | Node B', 'Other path']);
+    assert.strictEqual(proxies[0].name, 'Node A');
+});
+
+test('merging replaces proxies by connection identity and keeps group members in step', () => {
+    const base = {
+        'mixed-port': 7890,
+        proxies: [
+            { name: 'Old A', type: 'trojan', server: 'a.example.com', port: 443, password: 'secret', sni: 'a.example.com' },
+            { name: 'Old B', type: 'trojan', server: 'b.example.com', port: 443, password: 'secret', sni: 'b.example.com' }
+        ],
+        'proxy-groups': [
+            { name: 'PROXY', type: 'select', proxies: ['Old A', 'Old B'] },
+            { name: 'Only B', type: 'select', proxies: ['Old B'] }
+        ],
+        rules: ['MATCH,PROXY']
+    };
+    const proxies = [
+        'trojan://secret@a.example.com:443?sni=a.example.com#Node%20A',
+        'trojan://secret@c.example.com:443?sni=c.example.com#Node%20C'
+    ].map(link => get('LinkCodec').parse(link));
+    const merge = mode => get('mergeIntoConfig')(base, proxies, { mode, groups: ['PROXY'] });
+
+    const replaced = merge('replace');
+    const groups = Object.fromEntries(replaced.config['proxy-groups'].map(group => [group.name, [...group.proxies]]));
+    assert.deepStrictEqual([...replaced.config.proxies.map(proxy => proxy.name)], ['Node A', 'Node C']);
+    assert.deepStrictEqual(groups, { PROXY: ['Node A', 'Node C'], 'Only B': ['DIRECT'] });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(replaced.summary)), {
+        added: ['Node C'], removed: ['Old B'], renamed: [{ from: 'Old A', to: 'Node A' }], unchanged: 0, emptiedGroups: ['Only B']
+    });
+    assert.deepStrictEqual([...replaced.config.rules], ['MATCH,PROXY']);
+    assert.strictEqual(replaced.config['mixed-port'], 7890);
+    assert.strictEqual(base.proxies[0].name, 'Old A');
+
+    const appended = merge('append');
+    assert.deepStrictEqual([...appended.config.proxies.map(proxy => proxy.name)], ['Old A', 'Old B', 'Node C']);
+    assert.deepStrictEqual([...appended.config['proxy-groups'][0].proxies], ['Old A', 'Old B', 'Node C']);
+    assert.strictEqual(appended.summary.unchanged, 1);
+});
+
+/**
+ * Loads the converter's config generation with a stand-in for its form. Buttons listed in `active`
+ * are switched on; `fields` holds input values by dom key. jsyaml.dump hands back the config object
+ * itself, so tests read the structure rather than YAML text.
+ */
+function loadConfigGenerator({ active = [], fields = {}, options = {}, settings = null } = {}) {
+    const page = loadScripts(['js/codec.js', 'js/naming.js', 'js/clash-rules.js', 'js/clash-settings.js', 'js/singbox.js'], {
+        jsyaml: { dump: value => value }
+    });
+    page.context.dom = new Proxy({}, {
+        get: (target, key) => {
+            if (!(key in target)) {
+                target[key] = {
+                    value: key in fields ? String(fields[key]) : '', textContent: '',
+                    classList: { contains: name => name === 'active' && active.includes(key) }
+                };
+            }
+            return target[key];
+        }
+    });
+    page.context.configOptions = {
+        useFakeIp: true,
+        groups: { bestPing: false, loadBalance: false, fallback: false, byRegion: false, ...options.groups },
+        rules: { adsBlock: false, pornBlock: false, providers: [], custom: [], ...options.rules }
+    };
+    page.context.clashSettings = settings || page.get('ClashSettings').PRESETS.default;
+    vm.runInContext(`
+        const RESERVED_NAMES = ['DIRECT', 'REJECT', 'GLOBAL', 'PROXY', 'Best Ping', 'Load Balance', 'Fallback', 'direct'];
+        let lastRegionGroupNames = [];
+        function updateRuleTargets() {}
+        function isImportMode() { return false; }
+        function getConfigOptions() { return configOptions; }
+        function readClashSettings() { return clashSettings; }
+        const toasts = [];
+        function showToast(message) { toasts.push(message); }
+    ` + extractFunctions('js/converter.js', [
+        'generateClashConfig', 'generateSingboxConfig', 'getSingboxRuleSetUrl', 'generateProviderFile', 'readProxyProvider', 'validateProxyProvider', 'formatProxyProvider',
+        'isProviderMode', 'buildRegionGroups', 'getProxyCountry', 'regionGroupName', 'escapeRegExp',
+        'formatProxyForClash', 'formatTransportForClash'
+    ]), page.context);
+    return page;
+}
+
+const PROVIDER_FIELDS = {
+    providerNameInput: 'My Nodes',
+    providerUrlInput: 'https://example.com/nodes.yaml',
+    providerIntervalInput: 3600,
+    providerHealthUrlInput: 'http://www.gstatic.com/generate_204',
+    providerHealthIntervalInput: 300
+};
+
+function parseLinks(links) {
+    return links.map(link => get('LinkCodec').parse(link));
+}
+
+test('the provider file lists the proxies under the name the main config points at', () => {
+    const { get: getFromPage } = loadConfigGenerator({ active: ['providerConfigBtn'], fields: PROVIDER_FIELDS });
+    const file = getFromPage('generateProviderFile')(parseLinks(['trojan://secret@example.com:443?sni=example.com#Node%20A']));
+    assert.deepStrictEqual(file.proxies.map(proxy => proxy.name), ['Node A']);
+    assert.strictEqual(getFromPage('dom').providerOutputName.textContent, 'my_nodes.yaml');
+});
+
+test('provider configs wire groups to the provider with use: instead of listing proxies', () => {
+    const { get: getFromPage } = loadConfigGenerator({
+        active: ['providerConfigBtn'], fields: PROVIDER_FIELDS,
+        options: { groups: { bestPing: true, byRegion: true } }
+    });
+    const config = getFromPage('generateClashConfig')(parseLinks([
+        'trojan://secret@sg.example.com:443?sni=example.com#%F0%9F%87%B8%F0%9F%87%AC%20Node%20A',
+        'trojan://secret@id.example.com:443?sni=example.com#(ID)%20Node%20B'
+    ]));
+
+    assert.strictEqual(config.proxies, undefined);
+    const provider = config['proxy-providers']['My Nodes'];
+    assert.strictEqual(provider.type, 'http');
+    assert.strictEqual(provider.url, 'https://example.com/nodes.yaml');
+    assert.strictEqual(provider.path, './proxy_providers/my_nodes.yaml');
+    assert.strictEqual(provider['health-check'].enable, true);
+
+    const groups = Object.fromEntries(config['proxy-groups'].map(group => [group.name, group]));
+    assert.deepStrictEqual([...groups.PROXY.use], ['My Nodes']);
+    assert.deepStrictEqual([...groups['Best Ping'].use], ['My Nodes']);
+    assert.strictEqual(groups['Best Ping'].proxies, undefined);
+    const region = groups['\u{1F1F8}\u{1F1EC} SG Auto'];
+    assert.deepStrictEqual([...region.use], ['My Nodes']);
+    assert.ok(new RegExp(region.filter).test('\u{1F1F8}\u{1F1EC} Node A'));
+    assert.ok(!new RegExp(region.filter).test('(ID) Node B'));
+});
+
+test('sing-box profiles carry the groups, rules, rule providers and settings chosen for Clash', () => {
+    const page = loadConfigGenerator({ settings: null });
+    const [netflix, localBank] = ['netflix', 'local-bank']
+        .map(id => page.get('ClashRules').PROVIDER_CATALOGUE.find(provider => provider.id === id));
+    const { get: getFromPage } = loadConfigGenerator({
+        active: ['fullConfigBtn'],
+        settings: page.get('ClashSettings').PRESETS.openclash,
+        options: {
+            groups: { bestPing: true, byRegion: true },
+            rules: {
+                adsBlock: true,
+                providers: [{ ...netflix }, { ...localBank, url: 'https://example.com/bank.json', target: 'DIRECT' }],
+                custom: page.get('ClashRules').parseRules('DOMAIN-SUFFIX,example.org,Best Ping\nGEOIP,CN,DIRECT')
+            }
+        }
+    });
+    const profile = JSON.parse(getFromPage('generateSingboxConfig')(parseLinks([
+        'trojan://secret@sg.example.com:443?sni=example.com#%F0%9F%87%B8%F0%9F%87%AC%20Node%20A',
+        'trojan://secret@id.example.com:443?sni=example.com#(ID)%20Node%20B'
+    ])));
+
+    const outbounds = Object.fromEntries(profile.outbounds.map(outbound => [outbound.tag, outbound]));
+    const region = '\u{1F1F8}\u{1F1EC} SG Auto';
+    assert.deepStrictEqual(outbounds.PROXY.outbounds.slice(0, 3), ['Best Ping', '\u{1F1EE}\u{1F1E9} ID Auto', region]);
+    assert.strictEqual(outbounds['Best Ping'].type, 'urltest');
+    assert.strictEqual(outbounds[region].type, 'urltest');
+    assert.deepStrictEqual(outbounds[region].outbounds, ['\u{1F1F8}\u{1F1EC} Node A']);
+
+    assert.deepStrictEqual(profile.route.rules.filter(rule => rule.domain_suffix), [{ domain_suffix: 'example.org', outbound: 'Best Ping' }]);
+    assert.ok(profile.route.rules.some(rule => rule.rule_set === 'geoip-cn' && rule.outbound === 'direct'));
+    assert.ok(profile.route.rules.some(rule => rule.rule_set === netflix.name && rule.outbound === 'PROXY'));
+    assert.ok(profile.route.rules.some(rule => rule.rule_set === localBank.name && rule.outbound === 'direct'));
+    const ruleSets = Object.fromEntries(profile.route.rule_set.map(set => [set.tag, set]));
+    assert.strictEqual(ruleSets[netflix.name].url, netflix.singboxUrl);
+    assert.strictEqual(ruleSets[localBank.name].url, 'https://example.com/bank.json');
+    assert.strictEqual(ruleSets[localBank.name].format, 'source');
+    assert.ok(ruleSets['geoip-cn']);
+    assert.strictEqual(profile.route.final, 'PROXY');
+
+    assert.deepStrictEqual(profile.inbounds.map(inbound => [inbound.type, inbound.listen_port]),
+        [['mixed', 7893], ['http', 7890], ['socks', 7891], ['redirect', 7892], ['direct', 7874]]);
+    assert.strictEqual(profile.experimental.clash_api.external_controller, '0.0.0.0:9090');
+    assert.strictEqual(profile.dns.servers.find(server => server.tag === 'dns-direct').server, '114.114.114.114');
+    assert.ok(getFromPage('toasts').some(message => message.includes('fallback nameservers')));
+});
+
+test('sing-box output refuses the groups it cannot express', () => {
+    const { get: getFromPage } = loadConfigGenerator({ active: ['fullConfigBtn'], options: { groups: { loadBalance: true } } });
+    assert.throws(
+        () => getFromPage('generateSingboxConfig')(parseLinks(['trojan://secret@example.com:443?sni=example.com#Node'])),
+        /no Load Balance or Fallback/
+    );
+});
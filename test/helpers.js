@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Helpers for running the browser scripts under Node's built-in test runner.
+ * The pages load plain scripts that share globals, so the tests do the same inside a vm context.
+ * Run everything with `node --test test/*.test.js` from the repository root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * An in-memory stand-in for window.localStorage.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function, clear: Function}}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * A stand-in for the page DOM, enough to load a page script whole: every element exists, accepts
+ * text, styles and listeners, and DOMContentLoaded never fires, so the page does not start itself.
+ * @returns {{getElementById: Function, createElement: Function, addEventListener: Function, elements: Map}}
+ *   The document; `elements` holds the elements handed out so far, by id.
+ */
+function createDocument() {
+    const elements = new Map();
+    const createElement = () => ({
+        style: {}, dataset: {}, value: '', checked: false, textContent: '', innerHTML: '',
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {}, removeEventListener() {}, appendChild() {}, removeChild() {}, remove() {},
+        setAttribute() {}, contains: () => false,
+        querySelector: () => createElement(), querySelectorAll: () => [], scrollIntoView() {}
+    });
+    return {
+        elements,
+        createElement,
+        addEventListener() {},
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, createElement());
+            return elements.get(id);
+        }
+    };
+}
+
+/**
+ * Loads scripts into one context, in order, like the <script> tags of a page.
+ * @param {Array<string>} files - Paths relative to the repository root.
+ * @param {object} [globals={}] - Extra globals, e.g. `fetch` or `location`.
+ * @returns {{context: object, get: function(string): *}} The context and a way to read its globals,
+ *   including top-level consts such as `ProxyChecker`.
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console, URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa,
+        setTimeout, clearTimeout, AbortController, performance, structuredClone,
+        localStorage: createStorage(),
+        window: { atob, btoa, location: { href: 'https://nixgen.test/', hostname: 'nixgen.test', search: globals.search || '' } },
+        ...globals
+    });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return { context, get: name => vm.runInContext(name, context) };
+}
+
+/**
+ * Pulls named function declarations out of a page script so they can be tested without its DOM.
+ * Page scripts such as converter.js keep their helpers inside a DOMContentLoaded closure.
+ * @param {string} file - The path relative to the repository root.
+ * @param {Array<string>} names - The function names.
+ * @returns {string} The function sources, ready to run in a context from loadScripts.
+ */
+function extractFunctions(file, names) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    return names.map(name => {
+        const start = source.search(new RegExp(`(async\\s+)?function\\s+${name}\\s*\\(`));
+        if (start === -1) throw new Error(`${name} not found in ${file}`);
+        let depth = 0;
+        for (let i = source.indexOf('{', source.indexOf(')', start)); i < source.length; i++) {
+            if (source[i] === '{') depth++;
+            if (source[i] === '}' && --depth === 0) return source.slice(start, i + 1);
+        }
+        throw new Error(`Unbalanced braces in ${name} in ${file}`);
+    }).join('\n');
+}
+
+module.exports = { createStorage, createDocument, loadScripts, extractFunctions };
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { get } = loadScripts(['js/naming.js']);
+const ProxyNaming = get('ProxyNaming');
+
+test('rename rules apply in order', () => {
+    const rules = ProxyNaming.parseRules('# comment\n/PT\\.?\\s*/i => \nIndonesia => ID');
+    assert.strictEqual(ProxyNaming.format('{original}', { original: 'pt. Telkom Indonesia' }, rules), 'Telkom ID');
+});
+
+test('rename rules with an empty pattern are rejected with their line number', () => {
+    assert.throws(() => ProxyNaming.parseRules('a => b\n => x'), /line 2 needs a pattern/);
+});
+
+test('repeated names get numbered suffixes and avoid reserved names', () => {
+    assert.deepStrictEqual(
+        [...ProxyNaming.uniqueNames(['ID Telkom', 'ID Telkom', 'PROXY', 'ID Telkom'], ['PROXY'])],
+        ['ID Telkom', 'ID Telkom (2)', 'PROXY (2)', 'ID Telkom (3)']
+    );
+});
+
+test('transport tags in parentheses are not taken for countries', () => {
+    assert.strictEqual(ProxyNaming.detectCountry('Telkom (ws)'), '');
+    assert.strictEqual(ProxyNaming.detectCountry('Cloudflare (CF) 443'), '');
+    assert.strictEqual(ProxyNaming.detectCountry('Telkom (ws) (id)'), 'ID');
+    assert.strictEqual(ProxyNaming.detectCountry('(XX) Unknown'), '');
+    assert.strictEqual(ProxyNaming.stripCountry('(SG) Akamai (ws)'), 'Akamai (ws)');
+});
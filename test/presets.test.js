@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createStorage } = require('./helpers');
+
+test('presets round-trip through export and import', () => {
+    const FormPresets = loadScripts(['js/presets.js']).get('FormPresets');
+    const store = FormPresets.createStore('nixgen-test-presets');
+    store.save('Team', { uuid: 'abc' });
+    const exported = store.exportJson();
+    store.remove('Team');
+    assert.strictEqual(store.get('Team'), null);
+    assert.strictEqual(store.importJson(exported), 1);
+    assert.strictEqual(store.get('Team').uuid, 'abc');
+    assert.throws(() => FormPresets.createStore('other-page').importJson(exported), /does not contain presets/);
+});
+
+test('a refused localStorage write is reported instead of thrown raw', () => {
+    const localStorage = { ...createStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    const FormPresets = loadScripts(['js/presets.js'], { localStorage }).get('FormPresets');
+    assert.throws(() => FormPresets.createStore('nixgen-test-presets').save('Full', {}), /Could not save presets: QuotaExceededError/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createDocument } = require('./helpers');
+
+const SUB_SCRIPTS = [
+    'js/common.js', 'js/codec.js', 'js/naming.js', 'js/singbox.js', 'js/client-formats.js',
+    'js/presets.js', 'js/checker.js', 'js/sub.js'
+];
+
+/**
+ * Loads the subscription page with the bundled mock checker and a list of candidate proxies.
+ */
+function loadSubPage(count) {
+    const fetch = () => { throw new Error('validation must stay offline'); };
+    const page = loadScripts(SUB_SCRIPTS, { fetch, search: '?checker=mock', document: createDocument() });
+    page.context.candidates = Array.from({ length: count }, (_, index) => ({
+        ip: `10.1.0.${index}`, port: 443, country: 'ID', provider: `Provider ${index}`
+    }));
+    page.get('filteredProxyList = candidates');
+    return page;
+}
+
+/**
+ * The form values generateConfiguration reads, for one proxy over TLS on the default bug.
+ */
+function generatorOptions(get, overrides) {
+    return {
+        protocol: 'mix', uuid: 'bbbbbbbb-cccc-4ddd-eeee-ffffffffffff', bugType: 'default', mainDomain: 'sub.example.com',
+        customBug: '', isTls: true, reality: null, nameTemplate: get('CONFIG').NAME_TEMPLATE, renameRules: [],
+        latencyInName: false, mixedPort: 7890, profileTitle: '', updateInterval: null, tun: true, ...overrides
+    };
+}
+
+async function expectedAlive(get, proxies) {
+    const checker = get('ProxyChecker').createClient();
+    const results = await Promise.all(proxies.map(proxy => checker.check(proxy)));
+    return proxies.filter((proxy, index) => results[index].alive).map(proxy => proxy.ip);
+}
+
+test('validation against the mock keeps the first active proxies in list order', async () => {
+    const { get, context } = loadSubPage(20);
+    const alive = await expectedAlive(get, context.candidates);
+    assert.ok(alive.length > 3 && alive.length < 20);
+
+    const run = await get('validateProxyList')(3, 4);
+    assert.deepStrictEqual({ ...run }, { stopped: false, unreachable: false, unanswered: 0 });
+    const kept = get('validatedProxies');
+    assert.deepStrictEqual(kept.map(proxy => proxy.ip), alive.slice(0, 3));
+    assert.ok(kept.every(proxy => proxy.latency > 0));
+    assert.strictEqual(get('reportValidationShortfall')(3, run), true);
+});
+
+test('validation checks the whole pool when too few proxies are active and reports the shortfall', async () => {
+    const { get, context } = loadSubPage(10);
+    const alive = await expectedAlive(get, context.candidates);
+
+    const run = await get('validateProxyList')(10, 3);
+    assert.deepStrictEqual(get('validatedProxies').map(proxy => proxy.ip), alive);
+    assert.strictEqual(get('reportValidationShortfall')(10, run), true);
+    assert.match(get('dom').warningMessageElement.textContent, new RegExp(`Only ${alive.length} of the 10`));
+});
+
+test('stopping validation keeps only the active proxies checked so far', async () => {
+    const { get, context } = loadSubPage(30);
+    const alive = await expectedAlive(get, context.candidates);
+
+    const pending = get('validateProxyList')(30, 2);
+    await new Promise(resolve => setTimeout(resolve, 400));
+    get('stopValidation')();
+    const run = await pending;
+    assert.strictEqual(run.stopped, true);
+    const kept = get('validatedProxies').map(proxy => proxy.ip);
+    assert.ok(kept.length < alive.length);
+    assert.ok(kept.every(ip => alive.includes(ip)));
+    assert.strictEqual(get('validationInProgress'), false);
+});
+
+test('the NekoBox profile defines every inbound it routes and lets sing-box pick the VMess cipher', () => {
+    const { get, context } = loadSubPage(1);
+    const options = generatorOptions(get, { format: 'nekobox', mixedPort: 2080, tun: false });
+    const profile = JSON.parse(get('generateConfiguration')(context.candidates, options));
+
+    const vmess = profile.outbounds.filter(outbound => outbound.type === 'vmess');
+    assert.strictEqual(vmess.length, 1);
+    assert.strictEqual(vmess[0].security, 'auto');
+    assert.deepStrictEqual(profile.inbounds.map(inbound => [inbound.type, inbound.listen_port]), [['mixed', 2080]]);
+
+    const inboundTags = profile.inbounds.map(inbound => inbound.tag);
+    assert.ok(profile.route.rules.every(rule => !rule.inbound || inboundTags.includes(rule.inbound)));
+    assert.ok(profile.outbounds.every(outbound => outbound.type !== 'dns'));
+    assert.ok(profile.route.rules.some(rule => rule.action === 'hijack-dns'));
+
+    const withTun = JSON.parse(get('generateConfiguration')(context.candidates, { ...options, tun: true }));
+    assert.deepStrictEqual(withTun.inbounds.map(inbound => inbound.type), ['tun', 'mixed']);
+});
+
+test('the Base64 subscription decodes to the header lines and links, non-Latin names included', () => {
+    const { get, context } = loadSubPage(1);
+    context.candidates[0].provider = 'Télkom 🚀';
+    const options = generatorOptions(get, { profileTitle: 'Jakarta ☕', updateInterval: 12 });
+    const plain = get('generateConfiguration')(context.candidates, { ...options, format: 'v2ray' });
+    const encoded = get('generateConfiguration')(context.candidates, { ...options, format: 'v2ray-base64' });
+
+    assert.match(encoded, /^[A-Za-z0-9+/]+=*$/);
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    assert.strictEqual(decoded, plain);
+    const lines = decoded.split('\n');
+    assert.deepStrictEqual(lines.slice(0, 2), ['#profile-title: Jakarta ☕', '#profile-update-interval: 12']);
+    assert.strictEqual(lines.length, 6);
+    assert.match(get('LinkCodec').parse(lines[2]).name, /Télkom 🚀/);
+});